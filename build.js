@@ -68,18 +68,26 @@ var opts = {
  
 var files = [
     './src/core-methods.js'
+    , './src/Cache.js'
     , './src/Data.js'
+    , './src/Transports.js'
     , './src/Smarty.js'
+    , './src/Search.js'
     , './src/Combo2.js'
+    , './src/Multiple.js'
 ];
 
 
 buildJSHint(files, opts, function(err, hasError) {
     /*********************************** START BUILDING *******************************************/
     var combo = builder.concat([
-        './src/Data.js'
+        './src/Cache.js'
+        , './src/Data.js'
+        , './src/Transports.js'
         , './src/Smarty.js'
+        , './src/Search.js'
         , './src/Combo2.js'
+        , './src/Multiple.js'
     ]);
 
     // Create 'combo-2.js'
@@ -105,6 +113,7 @@ buildJSHint(files, opts, function(err, hasError) {
 
     /********************************************** CSS *******************************************/
     builder.cssMinify('./src/css/combo-2.css', './dist/css/combo-2.css', './src/css/');
+    builder.cssMinify('./src/css/multiple.css', './dist/css/multiple.css', './src/css/');
 
     if (hasError === true) {
         console.log('---------------------------------------------------------------------------');
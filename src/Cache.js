@@ -0,0 +1,108 @@
+/**
+ * Cache - A WUI-based utility
+ * =================================================================================================
+ * (a size limited store of values that expire)
+ *
+ * Wui.Cache keeps values by string keys for up to `ttl` milliseconds. When more than `maxSize`
+ * values are kept, the least recently used are evicted. Wui.Data uses it to cache the responses
+ * of remote requests. See the `cache` config of Wui.Data.
+ *
+ * Examples
+ * --------
+ *
+ *  cache = new Wui.Cache({ttl: 60000, maxSize: 20});
+ *  cache.set('states', [...]);
+ *  cache.get('states');    // [...], or undefined once a minute has passed
+ *
+ * @param       Object      args    A configuration object containing overrides for the default configs
+ *                                  below.
+ *
+ * @returns     Object      The Wui.Cache object is returned.
+ */
+Wui.Cache = function(args) {
+    $.extend(this, {
+        // The number of values to keep. Zero keeps any number of values.
+        maxSize: 50,
+
+        // The number of milliseconds a value is kept. Zero keeps values until they're evicted.
+        ttl: 300000
+    }, args);
+
+    this.clear();
+};
+
+
+Wui.Cache.prototype = {
+    /**
+     * Removes all of the values from the cache.
+     */
+    clear: function() {
+        this.entries = {};
+        this.keys = [];
+    },
+
+
+    /**
+     * Gets a value from the cache and marks it as the most recently used.
+     *
+     * @param   {String}    key     The key of the value
+     *
+     * @returns {*}         The value, or undefined if it isn't in the cache or has expired.
+     */
+    get: function(key) {
+        var me = this,
+            entry = me.entries.hasOwnProperty(key) ? me.entries[key] : undefined;
+
+        if (entry === undefined) {
+            return undefined;
+        }
+
+        if (me.ttl > 0 && $.now() - entry.time > me.ttl) {
+            me.remove(key);
+            return undefined;
+        }
+
+        me.keys.splice($.inArray(key, me.keys), 1);
+        me.keys.push(key);
+
+        return entry.value;
+    },
+
+
+    /**
+     * Removes a value from the cache.
+     *
+     * @param   {String}    key     The key of the value
+     */
+    remove: function(key) {
+        var me = this;
+
+        if (me.entries.hasOwnProperty(key)) {
+            delete me.entries[key];
+            me.keys.splice($.inArray(key, me.keys), 1);
+        }
+    },
+
+
+    /**
+     * Puts a value in the cache, evicting the least recently used values if the cache is full.
+     *
+     * @param   {String}    key     The key of the value
+     * @param   {*}         value   The value to keep
+     *
+     * @returns {*}         The value
+     */
+    set: function(key, value) {
+        var me = this;
+
+        me.remove(key);
+        me.entries[key] = {time: $.now(), value: value};
+        me.keys.push(key);
+
+        while (me.maxSize > 0 && me.keys.length > me.maxSize) {
+            me.remove(me.keys[0]);
+        }
+
+        return value;
+    }
+};
@@ -32,14 +32,64 @@
  *     - By default, these will automatically create a template of '<li>{titleItem|escape:html}</li>'
  * - Custom templates can be defined for the option list items on the Combo, and follow the rules 
  *   of the Wui.Smarty object.
- * - Multiple selection is not supported at this time
+ * - Multiple selection is available by setting `multiSelect: true`, or by consuming a
+ *   `<select multiple>`. Selected records show as removable chips within the field and `val()`
+ *   returns an array of values.
  * - Arrow button can be removed to make the control appear more like an autocomplete.
+ * - Option lists with more records than `virtualThreshold` are virtualized: only the items in
+ *   view (plus `virtualBuffer` items above and below) are on the DOM at any time. Virtualized
+ *   items are expected to be of a uniform height.
  *
  * 
  * - Can be asynchronously loaded from a remote data store and search locally
  *     - Configs: url, [params], autoLoad = true
  * - Can be asynchronously loaded from a remote data store and search asynchronously
  *     - Configs: url, [params], searchLocal = false
+ * - `load()`, `search(q)`, `setValue(v)` and `whenReady()` return promises, so a value can be
+ *   set after remote data loads: `combo.load().then(function() { return combo.setValue(5); })`.
+ * - Remote searches can be cached with the `cache` config (see Wui.Data), so repeating a search
+ *   is answered instantly. With `narrowFromCache`, a longer search is filtered locally from the
+ *   cached results of a shorter one.
+ * - When records are added, removed or updated through Wui.Data (push, splice, upsert,
+ *   updateRecord, or setData with records of the same identity), only the affected options are
+ *   rendered rather than the whole list. Those changes can be listened to on the Combo itself,
+ *   eg. `combo.on('dataadd', fn)` (see Wui.Data).
+ * - Records can be converted as they're set with the `fields` config (see Wui.Data), so that
+ *   templates, sorting and searching see numbers, booleans and dates rather than strings:
+ *   `fields: [{name: 'amount', type: 'number', defaultValue: 0}]`
+ * - Options can be constrained apart from what the user types with the filters of Wui.Data, such
+ *   as `combo.addFilter('active', function(rec) { return rec.active; })`. Only the records in
+ *   `filteredData` are listed.
+ * - Options are listed in the order of the data, which can be sorted with the `sorters` config or
+ *   sort() (see Wui.Data). Strings sort by the rules of the Combo's `locale`.
+ * - Remote data can be loaded a page at a time with the `pageSize` config (see Wui.Data). The
+ *   next page loads as the options list is scrolled near its bottom, and the bottom of the list
+ *   shows how many of the records have loaded. Paged Combos search remotely, even with
+ *   `autoLoad`, since the pages loaded may not hold every match.
+ * - Remote searches can wait for typing to pause (`searchDelay`) and be limited to a number per
+ *   second (`maxRequestRate`). Responses to searches that have been replaced are discarded.
+ * - Values that aren't in the data of the Combo, like the preset `value` of a remote Combo, are
+ *   looked up from the `lookupUrl` (sending the value as `lookupArgName`, default: valueItem), or
+ *   through a `lookup` function, so the field shows their title.
+ * - Remote loads can time out (`timeout`) and be retried with a growing wait (`retries`,
+ *   `retryDelay`), and with `serveLastGood` a failed load is answered with the last good data
+ *   for the same search (see Wui.Data). When a load fails, a row at the bottom of the options list offers to try
+ *   it again (`retryMessage`). Loads fail at once while the browser is offline, and are tried
+ *   again when it comes back online.
+ * - With the `persist` config (see Wui.Data), remote data is kept in localStorage or IndexedDB
+ *   so the options, and a preset `value` found in them, show at once when the page loads
+ *   again, while `autoLoad` loads the data in the background and replaces them only if they
+ *   changed. The results of remote searches aren't kept.
+ * - Combos can share the data of one Wui.Data with the `store` config, given the store or the
+ *   name it was registered under: `Wui.Data.register('employees', new Wui.Data({url: ...}))`
+ *   then `store: 'employees'`. The store loads once for all of them.
+ * - Records arranged as a tree with the `childrenItem` or `parentItem` configs (see Wui.Data)
+ *   are listed as an indented tree with branches that expand and collapse, by clicking their
+ *   toggle or with the right and left arrow keys. Branches start collapsed unless `expanded` is
+ *   true. A search shows the matching items along with their ancestors, expanded until the
+ *   search is cleared. Trees aren't virtualized, and ignore optgroups.
+ * - Remote data is loaded through the `transport` of the Combo (see Wui.Data), which is AJAX by
+ *   default. A 'memory' or 'localStorage' transport can stand in for a server without a url.
  * - Can assume the position and values of a `<select>` element on the DOM
  *     - Data set in the object definition, OR
  *     - Data will be created from a select box
@@ -108,6 +158,19 @@
  *       standard select box.
  *         - Local searching (determined by the searchLocal attribute, default: true) will cause an
  *           unbounded search of the DOM text of the items in the options list.
+ *             - With `fuzzy: true` the search tolerates typos, words out of order and acronyms, and
+ *               the options list is ordered by the relevance of each item.
+ *             - Search terms are found anywhere in the text by default. `matchMode` can instead
+ *               require them at the start of the text ('startsWith'), at the start of words
+ *               ('wordStart'), to be the whole text ('exact'), or treat them as a regular
+ *               expression ('regex'). A `matchFn(record, query)` can replace matching entirely.
+ *               Typing in lists that aren't searchable uses the same matching.
+ *             - `searchFields` can name the keys of the records to search instead of the text of
+ *               the items, and records may carry synonyms in their `keywordsItem` (default:
+ *               'keywords') that are searched but never shown. Only the visible text is hilighted.
+ *             - Case and accents are ignored by default ('jose' finds 'José'). This is configurable
+ *               through the `locale` and `sensitivity` attributes, which also apply to hilighting
+ *               and to typing in lists that aren't searchable.
  *         - Remote searching will send requests to the server, and will be at the mercy of the rules
  *           of the search method on the server.
  *             - Causes a redraw of the options list
@@ -150,6 +213,10 @@ Wui.Combo2 = function(args, target) {
         // a plain text string, or HTML formatted.
         noResultsMessage: 'No Results.',
         
+        // Whether the branches of a tree start expanded. See the childrenItem and parentItem configs
+        // of Wui.Data.
+        expanded: false,
+        
         // The text field for the combo. This field is specified in the constructor of the Combo (as
         // opposed to the prototype) because it must be a new DOM node for every instance of
         // the Combo.
@@ -164,19 +231,86 @@ Wui.Combo2 = function(args, target) {
         // When true, the user MUST select an item from the option list.
         forceSelect: false,
         
+        // When true, local searches match fuzzily (tolerating typos, words out of order and
+        // acronyms) and the options list is ordered by how well each item matches.
+        fuzzy: false,
+        
         hiddenCls: 'wui-hidden',
         
+        // The key in the records holding keywords or aliases for the record (a string or an array of
+        // strings). Local searches match the keywords, but they are never shown.
+        keywordsItem: 'keywords',
+        
+        // The message shown at the bottom of a paged options list while the next page loads.
+        loadingMoreMessage: 'Loading more...',
+        
+        // A BCP 47 language tag (eg. 'tr') for the rules of case when searching. Null uses the
+        // rules of the browser.
+        locale: null,
+        
+        // A function(value, combo) that gets the record of a value that isn't in the data of the
+        // Combo, such as the preset value of a remote Combo. It may return the record, or a
+        // promise for it. Takes the place of `lookupUrl`.
+        lookup: null,
+        
+        // The name of the parameter carrying the value to the `lookupUrl`. Defaults to valueItem.
+        lookupArgName: null,
+        
+        // The URL of a remote resource that responds with the record of a value that isn't in the
+        // data of the Combo. The request uses the transport and ajaxConfig of the Combo.
+        lookupUrl: null,
+        
+        // A function(record, query) that decides whether a record matches a local search,
+        // replacing matchMode and searchFields. It may return a boolean, or a Wui.Search match
+        // object to control ranking and hilighting.
+        matchFn: null,
+        
+        // How local searches match: 'contains' (anywhere in the text), 'startsWith', 'wordStart'
+        // (every word of the search begins a word of the text), 'exact' (good for code lookups),
+        // or 'regex' (the search is a regular expression). Ignored when `fuzzy` is true.
+        matchMode: 'contains',
+        
         // The minimum number of characters that must be in the field before a search will occur. If
         // searching against a very large dataset, increasing this number will help reduce the
         // size of the search results.
         minKeys: 1,
         
+        // The most remote searches that will be sent in a second. Searches typed faster than
+        // this wait their turn, and only the latest waiting search is sent. Zero is no limit.
+        maxRequestRate: 0,
+        
+        // Determines whether multiple selections can be made. When consuming a `<select>` this
+        // will be set automatically if the select has the 'multiple' attribute.
+        multiSelect: false,
+        
+        // When true along with the `cache` config, a remote search whose term extends a cached search
+        // (eg. 'alab' after 'ala') is answered by filtering the cached records locally, as
+        // long as the cached response held every matching record.
+        narrowFromCache: false,
+        
+        // The message at the bottom of a paged options list telling how many of the records have
+        // been loaded. '{count}' and '{total}' are replaced with the numbers.
+        pagingMessage: '{count} of {total}',
+        
         // Text to put in the placeholder of the combo
         placeholder: '',
+        
+        // The row at the bottom of the options list when a remote load fails. Clicking it tries the
+        // load again. May be a plain text string, or HTML formatted.
+        retryMessage: 'Couldn\'t load &mdash; retry',
 
         // The name of the search parameter that will be sent to the server for remote filters.
         searchArgName: 'filter',
         
+        // The number of milliseconds to wait after typing stops before sending a remote search.
+        searchDelay: 0,
+        
+        // An array of the record keys that local searches match against, instead of the text of the
+        // items. A key may be given as an object with a weight to rank its matches higher or lower
+        // when searching fuzzily, eg. ['name', {field: 'code', weight: 0.5}]. Nested keys are
+        // written with dots, as in templates.
+        searchFields: null,
+        
         // Tells the combo box to only search the local data rather than perform a remote call. This
         // can be used where the data is defined locally, or in concert with `autoLoad` where 
         // remotely loaded data is only searched on the client.
@@ -189,10 +323,20 @@ Wui.Combo2 = function(args, target) {
         // An array of the currently selected records
         selected: [],
         
+        // Which differences between characters matter when searching, as in Intl.Collator:
+        // 'base' ignores case and accents so 'jose' finds 'José', 'accent' ignores only case,
+        // 'case' ignores only accents, and 'variant' matches exactly.
+        sensitivity: 'base',
+        
         // Determines whether to show the arrow button (that toggles the option list). A false 
         // value and makes the Combo appear more like an autocomplete field.
         showOpenButton: true,
         
+        // A shared Wui.Data, or the name of one registered with Wui.Data.register(), that provides
+        // the options. Many Combos can show the same store: it loads once, and every Combo updates
+        // when it changes, while each keeps its own selection and filters. See bindStore().
+        store: null,
+        
         // The HTML template that the data will fit into. Null value will cause an error to be 
         // thrown. Specification required.
         template: null,
@@ -201,6 +345,9 @@ Wui.Combo2 = function(args, target) {
         // become members of Combo2.engine.
         templateFn: {},
 
+        // The number of pixels each level of a tree is indented by.
+        treeIndent: 16,
+
         // The name of the part of the data containing the value that will be shown to the user.
         // For example: if the data is US states: [{state_id: 1, state_name:"Alabama"}, ...]
         // the titleItem will be 'state_name'. titleItem is REQUIRED.
@@ -209,12 +356,16 @@ Wui.Combo2 = function(args, target) {
         // The value part of the data that will be used/stored by the program.
         // For example: if the data is US states: [{state_id: 1, state_name:"Alabama"}, ...]
         // the valueItem will be 'state_id'. valueItem is REQUIRED.
-        valueItem: null
-    }, args, {
-        // Determies whether multiple selections can be made. At this time, on this control, 
-        // multiselect is not available.
-        multiSelect: false
-    });
+        valueItem: null,
+        
+        // The number of items to render above and below the visible part of a virtualized
+        // options list so that scrolling doesn't show blank space.
+        virtualBuffer: 10,
+        
+        // Options lists with more records than this number are virtualized. Zero turns off
+        // virtualization.
+        virtualThreshold: 1000
+    }, args);
     
     this.init(target);
 };
@@ -288,6 +439,25 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
     
     
+    /**
+     * Adds a record to the selections of a multiSelect Combo. Records that are already selected are
+     * ignored.
+     *
+     * @param       {Object}    rec     The record to add to the selections.
+     *
+     * @returns     {Array}     The selected records.
+     */
+    addSelection: function(rec) {
+        var me = this;
+        
+        if ($.isPlainObject(rec) && me.indexOfSelection(rec) === -1) {
+            me.val(me.value.concat([rec]));
+        }
+        
+        return me.value;
+    },
+    
+    
     /**
      * Calculates the width of the drop down based on its contents
      */
@@ -433,6 +603,11 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                     else if ($.isPlainObject(newVal)) {
                         return newVal[me.valueItem];
                     }
+                    else if ($.isArray(newVal)) {
+                        return newVal.map(function(rec) {
+                            return ($.isPlainObject(rec)) ? rec[me.valueItem] : rec;
+                        });
+                    }
                     else {
                         return newVal;
                     }
@@ -462,6 +637,7 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         // Default data model returned from Wui.parseOptions();
         me.valueItem =  'value';
         me.titleItem =  'label';
+        me.identity =   me.identity || me.valueItem;
         
         // If the user hasn't defined a template, provide a default
         if (!me.template) {
@@ -478,6 +654,78 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
     
     
+    /**
+     * Binds the Combo to a shared store, so that its options are the data of the store. The
+     * Combo follows the changes of the store, which loads the data if it is remote and hasn't
+     * been loaded yet. The data of a bound Combo should be changed, loaded and sorted through the
+     * store, while the Combo's own filters only affect the Combo. Data events reach the document
+     * from the store only, as the Combo doesn't broadcast while bound. The Combo shows the
+     * loading and failures of the store, and retry() retries the load of the store.
+     *
+     * @param       {Object|String}     store   A Wui.Data, or the name of a registered one.
+     *
+     * @returns     {Object}    The store
+     */
+    bindStore: function(store) {
+        var me = this,
+            name = store;
+        
+        if (typeof store === 'string') {
+            store = Wui.Data.get(name);
+        }
+        
+        if (!(store instanceof Wui.Data)) {
+            throw new Error('Wui.js - There is no store registered as "' + name + '".');
+        }
+        
+        me.unbindStore();
+        me.store = store;
+        
+        // The store broadcasts its changes to the document, so the Combo doesn't repeat them
+        me.ownBroadcast = me.broadcast;
+        me.broadcast = false;
+        
+        me.storeListener = function(changes) {
+            me.data = store.data;
+            me.total = store.total;
+            me.fireDataChanged(changes);
+        };
+        store.on('datachanged', me.storeListener);
+        
+        // Show the loads of the store as if they were the Combo's own
+        me.storeLoadListener = function(payload, event) {
+            if (event === 'loadstart') {
+                me.el.addClass('wui-loading');
+                return;
+            }
+            
+            me.loadError = store.loadError;
+            
+            if (event === 'loadfailure') {
+                me.failure(payload);
+            }
+            else {
+                me.el.removeClass('wui-loading');
+                me.renderRetryRow();
+            }
+        };
+        store.on('load*', me.storeLoadListener);
+        
+        me.loadError = store.loadError;
+        me.el.toggleClass('wui-loading', Boolean(store.lastRequest && store.lastRequest.state() === 'pending'));
+        
+        me.data = store.data;
+        me.total = store.total;
+        me.fireDataChanged();
+        
+        if (store.isRemote() && !store.loadedAt && !(store.lastRequest && store.lastRequest.state() === 'pending')) {
+            store.load();
+        }
+        
+        return store;
+    },
+    
+    
     /**
      * Builds the combo from config parameters set on the Combo.
      */
@@ -504,9 +752,88 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
 
         // Loads data per the method appropriate for the config object
         me.getSrcData();
+        
+        // Show the data kept from an earlier page load while the data loads
+        if (me.persist) {
+            me.hydrate();
+        }
     },
 
 
+    /**
+     * Removes hilighting added by hilightItem() from an item in the options list.
+     *
+     * @param   {jQuery}    obj     The jQuery wrapped DOM node of the item.
+     *
+     * @returns {jQuery}    The item passed in.
+     */
+    clearItemHilight: function(obj) {
+        return $(obj).find('.' + this.highlightCls).each(function() {
+            var parent = this.parentNode;
+            parent.replaceChild(this.firstChild, this);
+            parent.normalize();
+        }).end();
+    },
+    
+    
+    /**
+     * Builds the rows of a virtualized options list: the items to show along with the labels of
+     * the optgroups they belong to.
+     *
+     * @param   {Array}     matches     Optional. The items to show. Defaults to all items.
+     *
+     * @returns {Array}     The rows, objects containing either an 'itm' or an 'optgroup' member.
+     */
+    buildRows: function(matches) {
+        var me = this,
+            lastGroup = '';
+        
+        me.rows = [];
+        
+        (matches || me.items).forEach(function(itm) {
+            var group = (Wui.isset(itm.rec.optgroup)) ? String(itm.rec.optgroup) : '';
+            
+            if (group.length !== 0 && group !== lastGroup) {
+                me.rows.push({optgroup: group});
+            }
+            
+            lastGroup = group;
+            me.rows.push({itm: itm});
+        });
+        
+        return me.rows;
+    },
+    
+    
+    /**
+     * Makes any lookup of a value that is still pending be ignored when it settles. See
+     * lookupValue().
+     *
+     * @returns     {Number}    The token of the lookups started from now on
+     */
+    cancelLookup: function() {
+        var me = this;
+        
+        me.lookupToken = (me.lookupToken || 0) + 1;
+        
+        return me.lookupToken;
+    },
+    
+    
+    /**
+     * Cancels a remote search waiting to be sent. See queueSearch().
+     */
+    cancelQueuedSearch: function() {
+        var me = this;
+        
+        clearTimeout(me.searchTimer);
+        
+        if (me.queuedSearch) {
+            me.queuedSearch.resolve();
+        }
+    },
+    
+    
     /**
      * Closes the drop-down menu and restores the body to whatever scroll state it was in previously.
      */
@@ -526,8 +853,12 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             me.el.find('.drop-down-switch').removeClass('open');
             
             // Make sure there is nothing weird left in the search box on close, it should 
-            // reflect the value of the field.
-            if ($.isPlainObject(me.value)) {
+            // reflect the value of the field. With multiple selections the value is shown in the
+            // chips, so the search box is just cleared.
+            if (me.multiSelect) {
+                me.setFieldValue('');
+            }
+            else if ($.isPlainObject(me.value)) {
                 me.setFieldValue(me.value[me.titleItem]);
             }
             
@@ -641,6 +972,116 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         this.make(); 
     },
     
+    
+    /**
+     * Overwrites the Wui.Data event hook to patch the options list when records are added,
+     * removed or updated, rather than remaking it. Items are matched to records by their identity
+     * (the valueItem unless told otherwise), only the items of added and updated records are
+     * rendered, and only items out of place are moved. Virtualized lists, lists with optgroups,
+     * trees and empty lists are remade instead.
+     *
+     * @param       {Array}     changes     The changes made to the data. See Wui.Data.
+     *
+     * @returns     {Boolean}   True if the list was patched, false if it needs to be remade.
+     */
+    dataPatched: function(changes) {
+        var me = this,
+            changed = {},
+            oldItems = {},
+            newItems = [],
+            keyOf = function(rec) {
+                var id = (rec !== null && typeof rec === 'object') ? rec[me.identity] : undefined;
+                return (id !== null && id !== undefined) ? me.identityKey(id) : undefined;
+            },
+            grouped = function(rec) {
+                return Wui.isset(rec.optgroup) && String(rec.optgroup).length !== 0;
+            },
+            patchable;
+        
+        patchable = !me.virtual && !me.isTree() && me.items.length > 0 && me.filteredData.length > 0 &&
+            !(me.virtualThreshold > 0 && me.filteredData.length > me.virtualThreshold) &&
+            !me.filteredData.some(grouped) &&
+            me.items.every(function(itm) {
+                var key = keyOf(itm.rec);
+                
+                if (key === undefined || oldItems.hasOwnProperty(key) || !itm.el || grouped(itm.rec)) {
+                    return false;
+                }
+                
+                oldItems[key] = itm;
+                return true;
+            }) &&
+            me.filteredData.every(function(rec) {
+                return keyOf(rec) !== undefined;
+            });
+        
+        if (!patchable) {
+            return false;
+        }
+        
+        changes.forEach(function(change) {
+            if (change.type === 'add' || change.type === 'update') {
+                change.records.forEach(function(rec) {
+                    changed[keyOf(rec)] = true;
+                });
+            }
+        });
+        
+        // Reuse the items of records still in the list, rendering those that changed
+        me.filteredData.forEach(function(rec) {
+            var key = keyOf(rec),
+                itm = oldItems[key],
+                oldEl;
+            
+            if (itm) {
+                delete oldItems[key];
+                itm.rec = rec;
+                
+                if (changed[key]) {
+                    oldEl = itm.el;
+                    me.makeItemEl(itm).toggleClass('wui-selected', me.selected[0] === itm);
+                    oldEl.replaceWith(itm.el);
+                }
+            }
+            else {
+                itm = {rec: rec};
+                me.makeItemEl(itm);
+            }
+            
+            newItems.push(itm);
+        });
+        
+        // Items left over belong to records that were removed or filtered out
+        $.each(oldItems, function(key, itm) {
+            itm.el.remove();
+            
+            if (me.selected[0] === itm) {
+                me.selected = [];
+            }
+        });
+        
+        // Put new items in place, and move items whose records changed position
+        newItems.forEach(function(itm, index) {
+            var prevEl = (index > 0) ? newItems[index - 1].el : null;
+            
+            if (prevEl && prevEl.next()[0] !== itm.el[0]) {
+                prevEl.after(itm.el);
+            }
+            else if (!prevEl && me.dd.children()[0] !== itm.el[0]) {
+                me.dd.prepend(itm.el);
+            }
+        });
+        
+        me.items = newItems;
+        me.markSelections();
+        me.hilightText(me.previous);
+        me.renderPagingRows();
+        me.renderRetryRow();
+        me.sizeAndPositionDD();
+        
+        return true;
+    },
+    
 
     /**
      * Loops through each of the objects items. The passed in function gets
@@ -684,6 +1125,49 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
     
     
+    /**
+     * Expands or collapses a branch of a tree. The Combo remembers which branches are expanded
+     * when the list is remade, by the identity of their records. Collapsing the branch holding
+     * the selected item selects the branch.
+     *
+     * @param       {Object}    itm         Wui item of the branch
+     * @param       {Boolean}   expand      Optional. Whether to expand the branch. Toggles it when
+     *                                      omitted.
+     *
+     * @returns     {Boolean}   Whether the branch is expanded
+     */
+    expandItem: function(itm, expand) {
+        var me = this,
+            ancestor = (me.selected.length > 0 && me.selected[0].parent) || null;
+        
+        if (!itm || !itm.children || itm.children.length === 0) {
+            return false;
+        }
+        
+        itm.expanded = (expand === undefined) ? !itm.expanded : Boolean(expand);
+        delete itm.searchExpanded;
+        
+        if (itm.key !== undefined) {
+            me.expandedKeys[itm.key] = itm.expanded;
+        }
+        
+        me.renderTree();
+        
+        // Move the selection out of the collapsed branch
+        while (!itm.expanded && ancestor && ancestor !== itm) {
+            ancestor = ancestor.parent;
+        }
+        
+        if (!itm.expanded && ancestor) {
+            me.itemSelect(itm);
+        }
+        
+        Wui.positionItem(me.el, me.dd);
+        
+        return itm.expanded;
+    },
+    
+    
     /**
      * Overrides Wui.Data.failure to turn the spinner off and show an error icon when there is 
      * an AJAX problem.
@@ -693,11 +1177,12 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
 
         // Discern between aborted and failed requests so that we don't show the fail indicator
         // when a user types faster than the server can respond.
-        if (jqXHR.status === 0 || jqXHR.readyState === 0) {
+        if (me.isAborted(jqXHR)) {
             return;
         }
 
         me.el.removeClass('wui-loading').addClass('wui-error');
+        me.renderRetryRow();
         
         setTimeout(function() {
             me.el.removeClass('wui-error');
@@ -706,7 +1191,8 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     
     
     /**
-     * Returns a record containing a key value pair to be found in a record.
+     * Returns a record containing a key value pair to be found in a record. Values are compared
+     * as the identities of the data are, so '2' finds 2 unless coerceIdentity is false.
      *
      * @param    {String}           key     The data item to look for
      * @param    {any}              val     The value to look for
@@ -719,7 +1205,7 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             retVal;
         
         me.each(function(itm) {
-            if(itm.rec[key] !== undefined && itm.rec[key] === val) {
+            if(itm.rec[key] !== undefined && (itm.rec[key] === val || me.identityEquals(itm.rec[key], val))) {
                 retVal = itm;
                 
                 // false breaks out of the loop when a match is found
@@ -738,6 +1224,10 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     getSrcData: function() {
         var me = this;
         
+        if (me.store) {
+            return me.bindStore(me.store);
+        }
+        
         if (me.initLoaded !== true && $.isArray(me.data) && me.data.length > 0) {
             me.setParams(me.params);
             me.initLoaded = true;
@@ -746,7 +1236,7 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         }
         else {
             if (me.autoLoad) {
-                if (this.url !== null) {
+                if (me.isRemote()) {
                     return me.loadData();
                 }
                 else {
@@ -762,92 +1252,168 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
      */
     getVal: function() {
         var me = this,
-            ret_val = ($.isPlainObject(me.value) && Wui.isset(me.value[me.valueItem])) ?
-                me.value[me.valueItem] :
-                    me.value;
+            ret_val;
+        
+        // Multiple selections return an array of simple values
+        if (me.multiSelect) {
+            return (me.value || []).map(function(rec) {
+                return ($.isPlainObject(rec)) ? rec[me.valueItem] : rec;
+            });
+        }
+        
+        ret_val = ($.isPlainObject(me.value) && Wui.isset(me.value[me.valueItem])) ?
+            me.value[me.valueItem] :
+                me.value;
 
         return ret_val;
     },
     
     
     /**
-     * Performs an unbound search for the search term (srchVal) within the options list and adds a span.wui-hilight
-     * class around all matches.
+     * Adds a span.wui-hilight around the matches of the search term (srchVal) within the text of
+     * an item in the options list.
      *
-     * @param   {string}    srchVal    A search term
+     * @param   {jQuery}    obj         The jQuery wrapped DOM node of the item.
+     * @param   {string}    srchVal     A search term
+     * @param   {Array}     ranges      Optional. [start, end] pairs of the characters to hilight
+     *                                  within the text of the item, as given by Wui.Search. Defaults
+     *                                  to every case-insensitive occurrence of srchVal.
+     *
+     * @returns {jQuery}    The item passed in.
      */
-    hilightText: function(srchVal) {
+    hilightItem: function(obj, srchVal, ranges) {
         var me = this,
-            hilightCls = me.highlightCls;
-
-        function clearHilight(obj) {
-            return $(obj).find('.' + hilightCls).each(function() {
-                var parent = this.parentNode;
-                parent.replaceChild(this.firstChild, this);
-                parent.normalize();
-            }).end();
-        }
-
-        function addHilight(node) {
-            if (node.nodeType !== 3) {
-                return;
-            }
-
-            var textParts = node.nodeValue.split(srchVal);
-            if (textParts.length <= 0) {
-                return;
-            }
-
-            var parent = node.parentNode;
-            while (parent.hasChildNodes()) {
-                parent.removeChild(parent.lastChild);
-            }
-
-            textParts.forEach(function(textPart) {
-                parent.appendChild(document.createTextNode(textPart));
-                var hilightSpan = $('<span>', {'class': hilightCls});
-                hilightSpan.text(srchVal);
-                parent.appendChild(hilightSpan[0]);
+            hilightCls = me.highlightCls,
+            node = $(obj)[0],
+            offset = 0,
+            match;
+
+        // Hilights the parts of a text node falling within the ranges
+        function addHilight(textNode, start) {
+            var text = textNode.nodeValue,
+                end = start + text.length,
+                parent = textNode.parentNode,
+                last = 0;
+            
+            ranges.forEach(function(range) {
+                var from = Math.max(range[0], start) - start,
+                    to = Math.min(range[1], end) - start;
+                
+                if (from < to) {
+                    parent.insertBefore(document.createTextNode(text.slice(last, from)), textNode);
+                    parent.insertBefore($('<span>', {'class': hilightCls}).text(text.slice(from, to))[0], textNode);
+                    last = to;
+                }
             });
-        }
-
-        function hilightText(obj) {
-            var node = (obj instanceof jQuery) ? obj[0] : obj;
             
-            // There may be previous hilighting
-            clearHilight(obj);
+            if (last > 0) {
+                parent.insertBefore(document.createTextNode(text.slice(last)), textNode);
+                parent.removeChild(textNode);
+            }
+        }
 
-            // Previous hilighting may have split text nodes apart that belong together. Restore them:
-            node.normalize();
-            
-            Array.prototype.forEach.call(node.childNodes, function(childNode) {
-                // Act on text nodes that are not blank, else recurse
-                if (childNode.nodeType == 3 && childNode.nodeValue.replace(/^\s+|\s+$/g, '').length > 0) {
-                    addHilight(childNode);
+        // Walks the text nodes in order, keeping track of their position within the item's text
+        function hilightText(parent) {
+            Array.prototype.slice.call(parent.childNodes).forEach(function(childNode) {
+                if (childNode.nodeType == 3) {
+                    addHilight(childNode, offset);
+                    offset += childNode.nodeValue.length;
                 }
-                else if (childNode.hasChildNodes()) {
+                else if (childNode.nodeType == 1) {
                     hilightText(childNode);
                 }
             });
+        }
+        
+        // There may be previous hilighting
+        me.clearItemHilight(obj);
+        
+        // Previous hilighting may have split text nodes apart that belong together. Restore them:
+        node.normalize();
+        
+        if (!ranges) {
+            match = Wui.Search.contains(srchVal, $(obj).text(), me.searchOptions());
+            ranges = (match) ? match.ranges : [];
+        }
+        
+        hilightText(node);
 
-            return $(obj);
+        return $(obj);
+    },
+    
+    
+    /**
+     * Performs an unbound search for the search term (srchVal) within the options list and adds a span.wui-hilight
+     * class around all matches.
+     *
+     * @param   {string}    srchVal    A search term
+     *
+     * @returns {Array}     The enabled items matching the search, best matches first when searching
+     *                      fuzzily. All of the enabled items when there's no search term.
+     */
+    hilightText: function(srchVal) {
+        var me = this,
+            found = me.items,
+            matches;
+        
+        // Virtualized lists filter the rows to render rather than hiding DOM nodes, and hilight
+        // items as they are rendered.
+        if (me.virtual) {
+            if (Wui.isset(srchVal) && $.trim(srchVal).length !== 0) {
+                matches = [];
+                
+                me.searchHTMLText(srchVal, function(el, itm, match) {
+                    // Clear disabled items in a search
+                    if (itm.rec.disabled !== true) {
+                        itm.ranges = match.ranges;
+                        matches.push({itm: itm, score: match.score});
+                    }
+                });
+                
+                me.virtualSearch = srchVal;
+                me.buildRows(found = me.rankItems(matches));
+                me.renderWindow(true);
+            }
+            else {
+                me.resetListHilighting();
+            }
         }
 
         // We have a search string, hilight and hide stuff
-        if (Wui.isset(srchVal) && $.trim(srchVal).length !== 0) {
+        else if (Wui.isset(srchVal) && $.trim(srchVal).length !== 0) {
             // Un-hide all optgroups and remove 'no results' message
             me.dd.find('.wui-optgroup-label.' + me.hiddenCls).removeClass(me.hiddenCls);
             me.dd.find('.' + me.noResultsCls).remove();
             
+            matches = [];
+            
             me.searchHTMLText(
                 srchVal,
-                function(itm) { hilightText(itm).removeClass(me.hiddenCls); },
-                function(itm) { clearHilight(itm).addClass(me.hiddenCls); }
+                function(el, itm, match) {
+                    me.hilightItem(el, srchVal, match.ranges).removeClass(me.hiddenCls);
+                    matches.push({itm: itm, score: match.score});
+                },
+                function(el) { me.clearItemHilight(el).addClass(me.hiddenCls); }
             );
             
+            found = me.rankItems(matches);
+            
+            // Put the best matches first, except in a tree which is kept in its order
+            if (me.fuzzy && !me.tree) {
+                me.orderItems(found);
+                me.reordered = true;
+            }
+            
             // Clear disabled items in a search
             me.dd.children('.' + me.disabledItemCls).addClass(me.hiddenCls);
             
+            // Trees show the ancestors of the matches too
+            if (me.tree) {
+                me.revealItems(found.filter(function(itm) {
+                    return itm.rec.disabled !== true;
+                }));
+            }
+            
             // Clear any optgroups that don't have visible items in them
             me.dd.children('.wui-optgroup-label').each(function() {
                 var group = $(arguments[1]);
@@ -859,7 +1425,7 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             
             // If there are no visible items, add the no results message as a disabled item
             if (me.dd.children(':visible').length === 0) {
-                me.dd.prepend('<li class="' + me.noResultsCls + ' ' + me.disabledItemCls + '">' + me.noResultsMessage + '</li>');
+                me.dd.prepend(me.noResultsItem());
             }
         }
         else {
@@ -867,9 +1433,41 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         }
         
         Wui.positionItem(me.el, me.dd);
+        
+        return found.filter(function(itm) {
+            return itm.rec.disabled !== true;
+        });
     },
 
 
+    /**
+     * Finds the position of a record among the selections of a multiSelect Combo. Records are
+     * compared by their valueItem, the way getItemBy() compares values.
+     *
+     * @param       {Object|*}  rec         A record, or a simple value.
+     * @param       {Array}     selections  Optional. An array of records to look in. Defaults to
+     *                                      the value of the Combo.
+     *
+     * @returns     {Number}    The index of the record in the selections, or -1 if not selected.
+     */
+    indexOfSelection: function(rec, selections) {
+        var me = this,
+            searchItem = ($.isPlainObject(rec)) ? rec[me.valueItem] : rec,
+            retVal = -1;
+        
+        $.each(selections || me.value || [], function(index, selection) {
+            var selectionItem = ($.isPlainObject(selection)) ? selection[me.valueItem] : selection;
+            
+            if (selectionItem === searchItem || me.identityEquals(selectionItem, searchItem)) {
+                retVal = index;
+                return false;
+            }
+        });
+        
+        return retVal;
+    },
+    
+    
     /**
      * Init sets variables needed for the combo and its methods to function, as well as setting
      * the initial state of the field based on configs.
@@ -878,12 +1476,23 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
      *                          tag on the DOM.
      */
     init: function(target) {
-        var me = this;
+        var me = this,
+            presetValue;
             
         me.selectTag = (Wui.isset(target)) ? $(target) : undefined;    
+        
+        if ($.inArray(me.matchMode, ['contains', 'exact', 'regex', 'startsWith', 'wordStart']) === -1) {
+            throw new Error('Wui.js - matchMode must be one of contains, exact, regex, startsWith or wordStart.');
+        }
             
         $.extend(me, {
-            disabledItemCls:'wui-combo-disabled',
+                            // Class for the chips showing the selections of a multiSelect Combo
+            chipCls:        'wui-combo-chip',
+            
+                            // Class marking options list items that are among multiple selections
+            chosenCls:      'wui-combo-chosen',
+            
+            disabledItemCls:'wui-combo-disabled',
             
                             // Build the field.
             el:             $('<div>').addClass('wui-form-field').append(
@@ -893,15 +1502,38 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                             // Create template engine and add applicable functions.
             engine:         new Wui.Smarty($.extend({html: me.template}, me.templateFn)),
             
+                            // Whether the branches of a tree are expanded, by the identity key of their
+                            // records, so that they stay that way when the list is remade
+            expandedKeys:   {},
+            
                             // The class used for highlighting list items
             highlightCls:   'wui-highlight',
             
+                            // Index the data by the valueItem unless told otherwise. See Wui.Data.getById().
+                            // Combos built from a select get theirs once the valueItem is set.
+            identity:       me.identity || (me.selectTag ? null : me.valueItem),
+            
                             // Used to tie the drop down and focus events back to the parent field.
             idCls:          me.selectTag ? Wui.id(me.selectTag.attr('name')) : Wui.id(),
             
                             // Class added to items, besides disabled ones, placed in the option list
             itemCls:        'wui-list-item',
             
+                            // Class for the rows at the bottom of a paged options list
+            pagingCls:      'wui-combo-paging',
+            
+                            // Class for the row offering to retry a failed load
+            retryCls:       'wui-combo-retry',
+            
+                            // Class for the spacers standing in for unrendered items in virtualized lists
+            spacerCls:      'wui-virtual-spacer',
+            
+                            // Class for the expand/collapse toggle of the items of a tree
+            toggleCls:      'wui-tree-toggle',
+            
+                            // Class for the items of a tree inside a collapsed branch
+            treeHiddenCls:  'wui-tree-hidden',
+            
                             // Array will contain objects that bind the Combo's data and DOM nodes.
             items:          [],
             
@@ -911,12 +1543,29 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                             // If the user didn't specify multiselect, check the underlying select.
             multiSelect:    (me.multiSelect === true || (me.selectTag && me.selectTag.prop('multiple') === true)),
                             
-                            // Set remote configs.
-            searchLocal:    (me.url === null || me.autoLoad === true),
+                            // Copy the params so they aren't shared with other Combos through the prototype
+            params:         $.extend({}, me.params),
+            
+                            // Set remote configs. Paged data is searched remotely, as the pages that
+                            // have loaded may not hold every match.
+            searchLocal:    (!me.isRemote() || (me.autoLoad === true && (me.pageSize || 0) <= 0)),
             
                             // Set initial value.
             value:          me.hasOwnProperty('value') ? me.value : null
         });
+        
+        // Multiple selections are stored as an array of records
+        if (me.multiSelect) {
+            presetValue = me.value;
+            me.value = [];
+            me.el
+                .addClass('wui-combo-multiple')
+                .on('click', '.' + me.chipCls + '-remove', function(event) {
+                    event.stopPropagation();
+                    me.removeSelection($(this).parent().data('rec'));
+                    me.field.focus();
+                });
+        }
 
         // Create dropdown container.
         $('body').append(
@@ -926,6 +1575,25 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                 .on('click', '.' + me.disabledItemCls, function() {
                     me.field.focus();
                 })
+                .on('click', '.' + me.toggleCls, function(event) {
+                    event.stopPropagation();
+                    me.expandItem($(this).data('itm'));
+                    me.field.focus();
+                })
+                .on('click', '.' + me.retryCls, function() {
+                    me.el.addClass('wui-loading');
+                    me.dd.children('.' + me.retryCls).remove();
+                    me.retry();
+                })
+                // Virtualized lists render the items in view as the list scrolls, and paged lists
+                // load the next page near the bottom
+                .on('scroll', function() {
+                    if (me.virtual) {
+                        me.renderWindow();
+                    }
+                    
+                    me.loadMoreIfNeeded();
+                })
         );
         
         // Placeholder text should be set before the combo is build because if a disabled option
@@ -949,6 +1617,14 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         }
         else {
             me.buildComboFromJS();
+            
+            if (me.multiSelect && presetValue !== null) {
+                me.setVal(presetValue);
+            }
+            // Preset values may need remote data to load, or be looked up, before being shown
+            else if (!me.multiSelect && me.value !== null) {
+                me.setValue(me.value);
+            }
         }
         
         me.toggleFieldSearchability();
@@ -966,7 +1642,10 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         var me = this;
 
         if (me.selected.length > 0) {
-            itm.el.removeClass('wui-selected');
+            // Items in a virtualized list may not have been rendered
+            if (itm.el) {
+                itm.el.removeClass('wui-selected');
+            }
             me.selected = [];
             me.el
                 .trigger($.Event('wuideselect'),[me, itm.el, itm.rec])
@@ -990,8 +1669,13 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
 
         if (itm) {
             me.dd.find('.wui-selected').removeClass('wui-selected');
-            itm.el.addClass('wui-selected');
             me.selected = [itm];
+            
+            // Items in a virtualized list may not have been rendered, they'll get the class when
+            // they are.
+            if (itm.el) {
+                itm.el.addClass('wui-selected');
+            }
 
             if (!me.multiSelect && !silent) {
                 me.el.trigger($.Event('wuiselect'), [me, itm.el, itm.rec])
@@ -1003,6 +1687,34 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
 
 
+    /**
+     * Gets the text of an item in the options list as seen by the user. Items of a virtualized list
+     * may not have been rendered, so their text is taken from the template output and cached.
+     *
+     * @param       {Object}    itm     Wui item containing 'el' and 'rec' items
+     *
+     * @returns     {String}    The text of the item
+     */
+    itemText: function(itm) {
+        var me = this;
+        
+        if (itm.el) {
+            return itm.el.text();
+        }
+        
+        if (!Wui.isset(itm.text)) {
+            itm.text = me.engine.make(itm.rec).replace(/<[^>]*>/g, '');
+            
+            // Decode any HTML entities
+            if (itm.text.indexOf('&') !== -1) {
+                itm.text = $('<div>').html(itm.text).text();
+            }
+        }
+        
+        return itm.text;
+    },
+    
+    
     /**
      * Minor Override for Wui.Data.loadData that adds a class to display a spinner
      */
@@ -1015,6 +1727,124 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
     
 
+    /**
+     * Loads the next page of a paged Combo when the options list is scrolled near its bottom.
+     */
+    loadMoreIfNeeded: function() {
+        var me = this,
+            dd = me.dd[0],
+            threshold = (me.rowHeight || 20) * me.virtualBuffer;
+        
+        if (me.hasMorePages() && dd.scrollTop + me.dd.innerHeight() >= dd.scrollHeight - threshold) {
+            me.loadNextPage();
+        }
+    },
+    
+    
+    /**
+     * Same as Wui.Data.loadNextPage() but shows a row at the bottom of the options list while the
+     * page loads.
+     */
+    loadNextPage: function() {
+        var me = this,
+            request = Wui.Data.prototype.loadNextPage.apply(me, arguments);
+        
+        me.renderPagingRows();
+        request.always(function() {
+            me.renderPagingRows();
+            me.renderRetryRow();
+        });
+        
+        return request;
+    },
+    
+    
+    /**
+     * Gets the record of a value that isn't in the data of the Combo through the `lookup` function
+     * or from the `lookupUrl`, then makes it the value of the Combo and fires 'valchange'. Records
+     * passed in that already have a title are used as they are. A lookup that is still pending when
+     * the value is set again, or another lookup starts, is ignored when it settles.
+     *
+     * @param       {*}         v       A simple value, or a record.
+     * @param       {Boolean}   silent  Optional. False to not fire 'valchange', as with val().
+     *
+     * @returns     {Object}    A promise resolved with the record once it is the value of the
+     *                          Combo. Rejected, after calling notFound(), with the error of the
+     *                          lookup or when there is no record for the value, and rejected when
+     *                          the lookup is ignored.
+     */
+    lookupValue: function(v, silent) {
+        var me = this,
+            key = ($.isPlainObject(v)) ? v[me.valueItem] : v,
+            token = me.cancelLookup(),
+            params = {},
+            request,
+            result;
+        
+        if ($.isPlainObject(v) && Wui.isset(v[me.titleItem])) {
+            request = $.Deferred().resolve(v);
+        }
+        else if (typeof me.lookup === 'function') {
+            result = me.lookup(key, me);
+            
+            // Promises that aren't jQuery's are wrapped, as $.when() only recognizes jQuery's
+            request = (result && typeof result.then === 'function') ? $.Deferred(function(dfd) {
+                result.then(dfd.resolve, dfd.reject);
+            }) : $.Deferred().resolve(result);
+        }
+        else if (me.lookupUrl !== null) {
+            params[me.lookupArgName || me.valueItem] = key;
+            
+            request = new Wui.Data({
+                url:            me.lookupUrl,
+                params:         params,
+                transport:      me.transport,
+                ajaxConfig:     me.ajaxConfig,
+                dataContainer:  me.dataContainer,
+                totalContainer: me.totalContainer,
+                reader:         me.reader,
+                processData:    $.proxy(me.processData, me)
+            }).load().then(function(data) {
+                return ($.isArray(data)) ? data[0] : data;
+            });
+        }
+        else {
+            request = $.Deferred().resolve();
+        }
+        
+        return request.then(function(rec) {
+            var oldVal = me.value;
+            
+            if (token !== me.lookupToken) {
+                return $.Deferred().reject(new Error('Wui.js - The lookup was replaced by a newer value.'));
+            }
+            
+            if (!$.isPlainObject(rec)) {
+                me.notFound();
+                
+                return $.Deferred().reject(new Error('Wui.js - The value was not found in the data of the Combo.'));
+            }
+            
+            me.value = rec;
+            me.setFieldValue(rec[me.titleItem]);
+            me.setPlaceholder('');
+            me.toggleFieldSearchability();
+            
+            if (silent !== false) {
+                me._setChanged(oldVal);
+            }
+            
+            return rec;
+        }, function(err) {
+            if (token === me.lookupToken) {
+                me.notFound();
+            }
+            
+            return $.Deferred().reject(err);
+        });
+    },
+    
+    
     /**
      * Locks or unlocks the ability for the DOM <body> to scroll while the option list is open.
      * Necessary so we don't have the drop down get disassociated from the field.
@@ -1078,33 +1908,40 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     make: function() {
         var me = this,
             holder = $('<div>'),
-            optGroups = {};
+            optGroups = {},
+            scrollTop = (me.appending) ? me.dd.scrollTop() : 0,
+            selectedRec = (me.appending && me.selected.length) ? me.selected[0].rec : undefined;
 
         // Clear out items list
         me.items = [];
+        
+        // Trees are listed with every record in the tree, rather than just the filtered data
+        me.tree = me.isTree();
+        
+        // Large lists only get their items rendered as they scroll into view
+        me.virtual = (!me.tree && me.virtualThreshold > 0 && me.filteredData.length > me.virtualThreshold);
 
-        // Show data in list, Add items to me.items
-        me.data.forEach(function(rec) {
-            var templateString = me.engine.make(rec),
-                itm = {
-                    el: $(templateString),
-                    rec: rec
-                };
+        // Show the filtered data in list, Add items to me.items
+        (me.tree ? me.treeItems() : me.filteredData.map(function(rec) { return {rec: rec}; })).forEach(function(itm) {
+            var rec = itm.rec;
             
             // Add newly made item to the items array which represents data (rec) bound with a
             // DOM node (el).
             me.items.push(itm);
             
-            // Bind data for all but disabled items, add a class to identify those
-            if (rec.disabled !== true) {
-                itm.el.data('itm', itm).addClass(me.itemCls);
+            // A page appended to the list keeps the selection
+            if (rec === selectedRec) {
+                me.selected = [itm];
             }
-            else {
-                itm.el.addClass('wui-combo-disabled');
+            
+            if (me.virtual) {
+                return;
             }
             
+            me.makeItemEl(itm).toggleClass('wui-selected', me.selected[0] === itm);
+            
             // Put item into optgroups if necessary 
-            if (Wui.isset(rec.optgroup) && String(rec.optgroup).length !== 0) {
+            if (!me.tree && Wui.isset(rec.optgroup) && String(rec.optgroup).length !== 0) {
                 if (Wui.isset(optGroups[rec.optgroup])) {
                     optGroups[rec.optgroup].find('ul').append(itm.el);
                 }
@@ -1128,19 +1965,34 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         // Ensure clicking on the drop down doesn't close it.
         me.dd.empty()
             .append(holder.children())
+            .scrollTop(scrollTop)
             .off('mousedown')
             .on('mousedown', function() { 
                 me.isBlurring = false; 
             });
 
         // Show some feedback even with no data, or select current if it exists.
-        if (me.data.length === 0) {
+        if (me.filteredData.length === 0) {
             me.dd.html(me.noResultsMessage);
         }
         else {
+            me.markSelections();
             me.hilightText(me.previous);
         }
 
+        me.renderPagingRows();
+        me.renderRetryRow();
+        
+        // Virtualized lists are only rendered once hilighted, so scroll to where an appended page
+        // left off now
+        if (me.appending) {
+            me.dd.scrollTop(scrollTop);
+            
+            if (me.virtual) {
+                me.renderWindow();
+            }
+        }
+        
         // Necessary here because remote queries will remake the list with every keystroke and
         // that can change the size/position of the options list.
         me.sizeAndPositionDD();
@@ -1150,6 +2002,176 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
     
     
+    /**
+     * Creates the DOM node for an item in the options list through the Wui.Smarty template, and
+     * binds the item to it.
+     *
+     * @param       {Object}    itm     Wui item containing a 'rec' member. The node is set as 'el'.
+     *
+     * @returns     {jQuery}    The DOM node of the item
+     */
+    makeItemEl: function(itm) {
+        var me = this;
+        
+        itm.el = $(me.engine.make(itm.rec));
+        
+        // Bind data for all but disabled items, add a class to identify those
+        if (itm.rec.disabled !== true) {
+            itm.el.data('itm', itm).addClass(me.itemCls);
+        }
+        else {
+            itm.el.addClass(me.disabledItemCls);
+        }
+        
+        // Items of a tree are indented by their depth, after a toggle for the branches
+        if (itm.children) {
+            itm.el
+                .addClass('wui-tree-item')
+                .toggleClass('wui-tree-branch', itm.children.length > 0)
+                .prepend(
+                    $('<span>').addClass(me.toggleCls).data('itm', itm).css('margin-left', (itm.depth * me.treeIndent) + 'px')
+                );
+        }
+        
+        return itm.el;
+    },
+    
+    
+    /**
+     * Marks the items in the options list that are among the selections of a multiSelect Combo.
+     */
+    markSelections: function() {
+        var me = this;
+        
+        if (me.multiSelect) {
+            me.each(function(itm) {
+                // Items in a virtualized list are marked when they are rendered
+                if (itm.el) {
+                    itm.el.toggleClass(me.chosenCls, me.indexOfSelection(itm.rec) !== -1);
+                }
+            });
+        }
+    },
+    
+    
+    /**
+     * Matches a search term against an item in the options list using the Wui.Search matcher
+     * named by the Combo's `matchMode`, or fuzzily if the `fuzzy` config is set. A `matchFn`
+     * takes the place of both. Otherwise the best weighted match among the fields given by
+     * searchFieldList() is used, while the hilighting ranges always refer to the text of the item.
+     *
+     * @param       {Object}    itm         Wui item containing 'el' and 'rec' items
+     * @param       {String}    srchVal     A search term
+     *
+     * @returns     {Object}    A Wui.Search match object containing 'score' and 'ranges', or null
+     *                          if the item doesn't match.
+     */
+    matchItem: function(itm, srchVal) {
+        var me = this,
+            matcher = Wui.Search[me.fuzzy ? 'fuzzy' : me.matchMode],
+            options = me.searchOptions(),
+            fields,
+            textMatch = null,
+            score = null,
+            custom;
+        
+        if (typeof me.matchFn === 'function') {
+            custom = me.matchFn(itm.rec, srchVal);
+            
+            if (!custom) {
+                return null;
+            }
+            else if ($.isPlainObject(custom)) {
+                return $.extend({score: 1, ranges: []}, custom);
+            }
+            
+            textMatch = Wui.Search.contains(srchVal, me.itemText(itm), options);
+            
+            return {
+                score:  1,
+                ranges: (textMatch !== null) ? textMatch.ranges : []
+            };
+        }
+        
+        fields = me.searchFieldList(itm);
+        
+        // Without search fields or keywords there's only the text of the item to search
+        if (fields.length === 1 && fields[0].field === null) {
+            return matcher(srchVal, me.itemText(itm), options);
+        }
+        
+        fields.forEach(function(searchField) {
+            var values = (searchField.field === null) ? [me.itemText(itm)] : [].concat(me.engine.lookup(itm.rec, searchField.field));
+            
+            values.forEach(function(value) {
+                var match = (value === null || value === undefined || String(value).length === 0) ? null : matcher(srchVal, String(value), options);
+                
+                if (match !== null) {
+                    if (searchField.field === null) {
+                        textMatch = match;
+                    }
+                    
+                    if (score === null || match.score * searchField.weight > score) {
+                        score = match.score * searchField.weight;
+                    }
+                }
+            });
+        });
+        
+        if (score === null) {
+            return null;
+        }
+        
+        // Hilighting applies to the text the user sees, which may not contain what matched
+        if (textMatch === null) {
+            textMatch = matcher(srchVal, me.itemText(itm), options);
+        }
+        
+        return {
+            score:  score,
+            ranges: (textMatch !== null) ? textMatch.ranges : []
+        };
+    },
+    
+    
+    /**
+     * Finds the records for a remote search by filtering the cached response of a shorter search
+     * that the search term begins with. See `narrowFromCache`.
+     *
+     * @param       {String}    srchVal     A search term
+     *
+     * @returns     {Array}     The records matching the search term, or null if there's no cached
+     *                          response to narrow, or it didn't hold every matching record.
+     */
+    narrowCachedSearch: function(srchVal) {
+        var me = this,
+            params = $.extend({}, me.params),
+            length,
+            cached,
+            unwrapped;
+        
+        for (length = srchVal.length - 1; length > 0 && length >= me.minKeys && cached === undefined; length--) {
+            params[me.searchArgName] = srchVal.slice(0, length);
+            cached = me.getCache().get(me.cacheKey(params));
+        }
+        
+        if (cached === undefined) {
+            return null;
+        }
+        
+        unwrapped = Wui.unwrapData.call(me, me.copyResponse(cached));
+        
+        // A partial response, such as one page of many, may be missing matches
+        if (!$.isArray(unwrapped.data) || unwrapped.total > unwrapped.data.length) {
+            return null;
+        }
+        
+        return unwrapped.data.filter(function(rec) {
+            return me.matchItem({rec: rec}, srchVal) !== null;
+        });
+    },
+    
+    
     /**
      * Method meant to be overridden. Runs when the pre-applied value for the combo is not found 
      * in the dataset.
@@ -1157,6 +2179,18 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     notFound:   function() {},
     
     
+    /**
+     * Creates the message shown in the options list when a search has no results.
+     *
+     * @returns     {jQuery}    A disabled list item containing the noResultsMessage
+     */
+    noResultsItem: function() {
+        var me = this;
+        
+        return $('<li>').addClass(me.noResultsCls + ' ' + me.disabledItemCls).html(me.noResultsMessage);
+    },
+    
+    
     /**
      * Adds the interaction listeners for the list items onto the list.
      *
@@ -1181,7 +2215,11 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                     me.selectListItem($(this));
                     event.stopPropagation();
                     me.set();
-                    me.close();
+                    
+                    // Leave the list open so more selections can be made
+                    if (!me.multiSelect) {
+                        me.close();
+                    }
                 })
                 // Moving the mouse within the bounds of the list generally should activate this listener.
                 .one('mousemove', function() {
@@ -1267,9 +2305,303 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                 }
             });
             
-            me.sizeAndPositionDD();
-            me.field.focus().select();
-            me.addMouseEnterListener();
+            me.sizeAndPositionDD();
+            me.field.focus().select();
+            me.addMouseEnterListener();
+        }
+    },
+    
+    
+    /**
+     * Reorders the items in the options list. Optgroups are placed in the order that their first
+     * item appears.
+     *
+     * @param       {Array}     items   Wui items in the order they should appear.
+     */
+    orderItems: function(items) {
+        var me = this,
+            placedGroups = [];
+        
+        items.forEach(function(itm) {
+            var container = itm.el.parent(),
+                group = container.closest('.wui-optgroup-label');
+            
+            if (group.length && $.inArray(group[0], placedGroups) === -1) {
+                placedGroups.push(group[0]);
+                me.dd.append(group);
+            }
+            else if (!group.length) {
+                container = me.dd;
+            }
+            
+            container.append(itm.el);
+        });
+    },
+    
+    
+    /**
+     * Sends a remote search once `searchDelay` has passed without another search, and no sooner
+     * than `maxRequestRate` allows. A search queued while another waits replaces it.
+     *
+     * @param       {Object}    srchParams  The params of the search
+     */
+    queueSearch: function(srchParams) {
+        var me = this,
+            interval = (me.maxRequestRate > 0) ? 1000 / me.maxRequestRate : 0,
+            wait = Math.max(me.searchDelay, (me.lastSearchTime || 0) + interval - $.now());
+        
+        function send() {
+            var queued = me.queuedSearch;
+            
+            me.lastSearchTime = $.now();
+            me.loadData(srchParams);
+            queued.resolve();
+        }
+        
+        clearTimeout(me.searchTimer);
+        
+        // whenReady() waits on the queued search
+        if (!me.queuedSearch || me.queuedSearch.state() !== 'pending') {
+            me.queuedSearch = $.Deferred();
+        }
+        
+        if (wait > 0) {
+            me.searchTimer = setTimeout(send, wait);
+        }
+        else {
+            send();
+        }
+    },
+    
+    
+    /**
+     * Orders matched items by score, best first. Items sharing an optgroup are kept together, with
+     * the optgroups ordered by their best match.
+     *
+     * @param       {Array}     matches     Objects containing an 'itm' and its 'score'.
+     *
+     * @returns     {Array}     The matched items, in order.
+     */
+    rankItems: function(matches) {
+        var me = this,
+            groups = [],
+            groupItems = {};
+        
+        if (!me.fuzzy) {
+            return matches.map(function(match) { return match.itm; });
+        }
+        
+        matches.map(function(match, index) {
+            match.index = index;
+            return match;
+        }).sort(function(a, b) {
+            // Keep the original order for equal scores
+            return (b.score - a.score) || (a.index - b.index);
+        }).forEach(function(match) {
+            var group = (Wui.isset(match.itm.rec.optgroup)) ? String(match.itm.rec.optgroup) : '';
+            
+            if (!groupItems.hasOwnProperty(group)) {
+                groupItems[group] = [];
+                groups.push(group);
+            }
+            
+            groupItems[group].push(match.itm);
+        });
+        
+        return [].concat.apply([], groups.map(function(group) { return groupItems[group]; }));
+    },
+    
+    
+    /**
+     * Removes a record from the selections of a multiSelect Combo.
+     *
+     * @param       {Object|*}  rec     The record, or simple value, to remove from the selections.
+     *
+     * @returns     {Array}     The selected records.
+     */
+    removeSelection: function(rec) {
+        var me = this,
+            index = me.indexOfSelection(rec);
+        
+        if (index !== -1) {
+            me.val(me.value.slice(0, index).concat(me.value.slice(index + 1)));
+        }
+        
+        return me.value;
+    },
+    
+    
+    /**
+     * Shows the selections of a multiSelect Combo as removable chips within the field.
+     */
+    renderChips: function() {
+        var me = this;
+        
+        me.el.children('.' + me.chipCls).remove();
+        
+        (me.value || []).forEach(function(rec) {
+            me.field.before(
+                $('<span>')
+                    .addClass(me.chipCls)
+                    .text(rec[me.titleItem])
+                    .data('rec', rec)
+                    .append(
+                        $('<a>', {
+                            unselectable:   'on',
+                            tabindex:       -1,
+                            title:          'Remove'
+                        }).addClass(me.chipCls + '-remove')
+                    )
+            );
+        });
+    },
+    
+    
+    /**
+     * Readies an item of a virtualized list to be placed on the DOM, creating its node if it
+     * hasn't been rendered before and applying selection and search hilighting.
+     *
+     * @param       {Object}    itm     Wui item containing a 'rec' member
+     *
+     * @returns     {jQuery}    The DOM node of the item
+     */
+    renderItem: function(itm) {
+        var me = this,
+            el = itm.el || me.makeItemEl(itm);
+        
+        el.toggleClass('wui-selected', me.selected[0] === itm)
+            .toggleClass('wui-optgroup-item', Wui.isset(itm.rec.optgroup) && String(itm.rec.optgroup).length !== 0);
+        
+        if (me.multiSelect) {
+            el.toggleClass(me.chosenCls, me.indexOfSelection(itm.rec) !== -1);
+        }
+        
+        if (Wui.isset(me.virtualSearch) && $.trim(me.virtualSearch).length !== 0) {
+            me.hilightItem(el, me.virtualSearch, itm.ranges);
+        }
+        else {
+            me.clearItemHilight(el);
+        }
+        
+        return el;
+    },
+    
+    
+    /**
+     * Adds the rows to the bottom of a paged options list that show that the next page is loading,
+     * and how many of the records have been loaded. See `loadingMoreMessage` and `pagingMessage`.
+     */
+    renderPagingRows: function() {
+        var me = this,
+            rowCls = me.pagingCls + ' ' + me.disabledItemCls;
+        
+        me.dd.children('.' + me.pagingCls).remove();
+        
+        if (me.pageSize > 0 && me.data.length > 0) {
+            if (me.pageRequest && me.pageRequest.state() === 'pending') {
+                me.dd.append($('<li>').addClass(rowCls + ' wui-loading-more').html(me.loadingMoreMessage));
+            }
+            
+            me.dd.append($('<li>').addClass(rowCls).text(
+                me.pagingMessage
+                    .replace('{count}', me.data.length)
+                    .replace('{total}', Math.max(me.total, me.data.length))
+            ));
+        }
+    },
+    
+    
+    /**
+     * Shows the items of a tree that are revealed (see revealItems()) and whose ancestors are all
+     * expanded, hiding the rest, and marks the expanded branches.
+     */
+    renderTree: function() {
+        var me = this;
+        
+        me.items.forEach(function(itm) {
+            var shown = (itm.revealed !== false),
+                ancestor;
+            
+            for (ancestor = itm.parent; ancestor && shown; ancestor = ancestor.parent) {
+                shown = ancestor.expanded;
+            }
+            
+            itm.el
+                .toggleClass(me.hiddenCls, itm.revealed === false)
+                .toggleClass(me.treeHiddenCls, itm.revealed !== false && !shown)
+                .toggleClass('wui-tree-expanded', itm.expanded && itm.children.length > 0);
+        });
+    },
+    
+    
+    /**
+     * Adds the row to the bottom of the options list that offers to try a failed load again, or
+     * removes it once a load succeeds. See `retryMessage`.
+     */
+    renderRetryRow: function() {
+        var me = this;
+        
+        me.dd.children('.' + me.retryCls).remove();
+        
+        if (me.loadError) {
+            me.dd.append($('<li>').addClass(me.retryCls + ' ' + me.disabledItemCls).html(me.retryMessage));
+        }
+    },
+    
+    
+    /**
+     * Renders the rows of a virtualized list that are in view, plus the virtualBuffer, between two
+     * spacers that stand in for the height of the rows that aren't rendered.
+     *
+     * @param       {Boolean}   force   Render even if the rows in view haven't changed.
+     */
+    renderWindow: function(force) {
+        var me = this,
+            rows = me.rows || [],
+            viewHeight = me.dd.innerHeight() || parseInt(me.dd.css('max-height')) || 300,
+            scrollTop = me.dd.scrollTop(),
+            rowHeight = me.rowHeight || 20,
+            first = Math.max(0, Math.floor(scrollTop / rowHeight) - me.virtualBuffer),
+            last = Math.min(rows.length, Math.ceil((scrollTop + viewHeight) / rowHeight) + me.virtualBuffer),
+            holder = $('<div>');
+        
+        if (force !== true && me.renderedRange && me.renderedRange[0] === first && me.renderedRange[1] === last) {
+            return;
+        }
+        
+        me.renderedRange = [first, last];
+        
+        rows.slice(first, last).forEach(function(row) {
+            if (row.itm) {
+                holder.append(me.renderItem(row.itm));
+            }
+            else {
+                holder.append($('<li>').addClass('wui-optgroup-label').text(row.optgroup));
+            }
+        });
+        
+        // Detach rather than empty so that rendered items keep their data
+        me.dd.children().detach();
+        me.dd.append(
+            $('<li>').addClass(me.spacerCls).css('height', first * rowHeight),
+            holder.children(),
+            $('<li>').addClass(me.spacerCls).css('height', (rows.length - last) * rowHeight)
+        );
+        
+        if (rows.length === 0) {
+            me.dd.prepend(me.noResultsItem());
+        }
+        
+        me.renderPagingRows();
+        me.renderRetryRow();
+        
+        // Measure the rows the first time they can be measured
+        if (!me.rowHeight && last > first && me.dd.is(':visible')) {
+            me.rowHeight = me.dd.children().eq(1).outerHeight() || undefined;
+            
+            if (me.rowHeight && me.rowHeight !== rowHeight) {
+                me.renderWindow(true);
+            }
         }
     },
     
@@ -1281,12 +2613,98 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     resetListHilighting: function() {
         var me = this;
         
+        if (me.virtual) {
+            me.virtualSearch = undefined;
+            me.buildRows();
+            me.renderWindow(true);
+            return;
+        }
+        
+        // Put the items back in the order of the data after a ranked search
+        if (me.reordered) {
+            me.orderItems(me.items);
+            me.reordered = false;
+        }
+        
         // Remove 'no results' messages added by this method
         me.dd.find('.' + me.noResultsCls).remove();
         me.dd.find('.' + me.hiddenCls).removeClass(me.hiddenCls);
         me.dd.find('.' + me.highlightCls).each(function() {
             $(this).replaceWith($(this).html());
         });
+        
+        if (me.tree) {
+            me.revealItems();
+        }
+    },
+    
+    
+    /**
+     * Same as Wui.Data.retry(), but retries the load of the store while the Combo is bound to one.
+     *
+     * @returns     {Object}    A promise like that of load().
+     */
+    retry: function() {
+        var me = this;
+        
+        if (me.store instanceof Wui.Data && me.storeListener) {
+            return me.store.retry();
+        }
+        
+        return Wui.Data.prototype.retry.call(me);
+    },
+    
+    
+    /**
+     * Decides which items of a tree are shown, then renders the tree. Without matches, every item
+     * is revealed. With them, only the matches of a search and their ancestors are, and the
+     * ancestors are expanded so the matches can be seen. Expanding them for a search isn't
+     * remembered when the list is remade, and they're put back the way they were by the next
+     * search, or when the search is cleared, unless they were expanded or collapsed since.
+     *
+     * @param       {Array}     matches     Optional. The items matching a search.
+     */
+    revealItems: function(matches) {
+        var me = this;
+        
+        me.items.forEach(function(itm) {
+            if (itm.hasOwnProperty('searchExpanded')) {
+                itm.expanded = itm.searchExpanded;
+                delete itm.searchExpanded;
+            }
+            
+            itm.revealed = !matches;
+        });
+        
+        (matches || []).forEach(function(itm) {
+            itm.revealed = true;
+            
+            for (itm = itm.parent; itm; itm = itm.parent) {
+                // Kept so the branch can be put back once the search is done
+                if (!itm.hasOwnProperty('searchExpanded')) {
+                    itm.searchExpanded = itm.expanded;
+                }
+                
+                itm.revealed = itm.expanded = true;
+            }
+        });
+        
+        me.renderTree();
+    },
+    
+    
+    /**
+     * Same as Wui.Data.savesSnapshot(), but the results of a remote search aren't kept, as they
+     * hold only the records matching the search.
+     *
+     * @returns     {Boolean}   Whether the response being set is kept as the snapshot.
+     */
+    savesSnapshot: function() {
+        var me = this,
+            srchVal = me.params[me.searchArgName];
+        
+        return Wui.Data.prototype.savesSnapshot.call(me) &&
+            (me.searchLocal || srchVal === undefined || srchVal === null || srchVal === '');
     },
     
     /**
@@ -1294,6 +2712,11 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
      */
     scrollToCurrent: function() {
         var me = this;
+        
+        if (me.virtual) {
+            return me.scrollToCurrentRow();
+        }
+        
         var firstSelect = me.dd.find('.wui-selected:first');
         var ofstP = firstSelect.offsetParent();
         var offset = (function(){ 
@@ -1312,6 +2735,61 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
     
     
+    /**
+     * Scrolls a virtualized list to the currently selected item.
+     */
+    scrollToCurrentRow: function() {
+        var me = this,
+            rowHeight = me.rowHeight || 20,
+            index = -1;
+        
+        $.each(me.rows || [], function(idx, row) {
+            if (row.itm && row.itm === me.selected[0]) {
+                index = idx;
+                return false;
+            }
+        });
+        
+        if (index !== -1) {
+            me.optionListMouseEnter(false);
+            me.dd.scrollTop(index * rowHeight - (me.dd.height() / 2) + (rowHeight / 2));
+            me.renderWindow();
+        }
+    },
+    
+    
+    /**
+     * Searches the Combo as if the search term had been typed into the field, filtering the options
+     * list locally, or loading the matches remotely.
+     *
+     * @param       {String}    q       A search term
+     *
+     * @returns     {Object}    A promise resolved with the enabled records matching the search once
+     *                          the search is done.
+     */
+    search: function(q) {
+        var me = this;
+        
+        me.field.val((q === null || q === undefined) ? '' : String(q));
+        
+        if (me.searchLocal) {
+            me.previous = $.trim(me.field.val());
+            
+            return $.Deferred().resolve(me.hilightText(me.previous).map(function(itm) {
+                return itm.rec;
+            })).promise();
+        }
+        
+        me.searchData();
+        
+        return me.whenReady().then(function() {
+            return me.filteredData.filter(function(rec) {
+                return rec.disabled !== true;
+            });
+        });
+    },
+    
+    
     /**
      * Searches locally within the drop-down's data for the srchVal, otherwise if searchLocal
      * is false, the data is searched remotely.
@@ -1320,7 +2798,8 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         var me = this,
             srchVal = $.trim(me.field[0].value),
             oldSearch = me.previous || undefined,
-            srchParams = {};
+            srchParams = {},
+            narrowed;
 
         me.previous = srchVal;
         
@@ -1330,36 +2809,92 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         else {
             if ((srchVal.length >= me.minKeys || srchVal.length === 0) && me.previous != oldSearch) {
                 srchParams[me.searchArgName] = srchVal;
-                me.loadData(srchParams);
+                narrowed = (me.cache && me.narrowFromCache) ? me.narrowCachedSearch(srchVal) : null;
+                
+                if (narrowed !== null) {
+                    me.cancelQueuedSearch();
+                    me.abortRequest();
+                    me.setParams(srchParams);
+                    me.setData(narrowed);
+                }
+                // Cached searches are answered right away
+                else if (me.cache && me.getCache().get(me.cacheKey($.extend({}, me.params, srchParams))) !== undefined) {
+                    me.cancelQueuedSearch();
+                    me.loadData(srchParams);
+                }
+                else {
+                    me.queueSearch(srchParams);
+                }
             }
         }
     },
     
     
+    /**
+     * Gets the options passed to Wui.Search that determine how characters are compared.
+     *
+     * @returns {Object}    An object containing the 'locale' and 'sensitivity' of the Combo.
+     */
+    searchOptions: function() {
+        var me = this;
+        
+        return {
+            locale:         me.locale,
+            sensitivity:    me.sensitivity
+        };
+    },
+    
+    
+    /**
+     * Gets the fields of a record that local searches match against: the `searchFields` (or the
+     * text of the item when there are none) followed by the keywords of the record, if it has any.
+     *
+     * @param       {Object}    itm     Wui item containing a 'rec' member
+     *
+     * @returns     {Array}     Objects containing the 'field' and its 'weight'. A null field stands
+     *                          for the text of the item.
+     */
+    searchFieldList: function(itm) {
+        var me = this,
+            fields = (me.searchFields) ? me.searchFields.map(function(searchField) {
+                return (typeof searchField === 'object') ? {
+                    field:  searchField.field,
+                    weight: $.isNumeric(searchField.weight) ? Number(searchField.weight) : 1
+                } : {field: searchField, weight: 1};
+            }) : [{field: null, weight: 1}],
+            listed = fields.some(function(searchField) { return searchField.field === me.keywordsItem; });
+        
+        if (me.keywordsItem && !listed && Wui.isset(itm.rec[me.keywordsItem])) {
+            fields.push({field: me.keywordsItem, weight: 1});
+        }
+        
+        return fields;
+    },
+    
+    
     /**
      * Performs an unbound search for the search term (srchVal) within the options list and retuns
      * arrays of those elements matched, and those not matched.
      *
      * @param   {string}        srchVal     A search term
-     * @param   {function}      foundFn     Function that accepts the DOM node of the item as a parameter
-     *                                      when text is found in the node.
-     * @param   {function}      absentFn    Function that accepts the DOM node of the item as a parameter
-     *                                      when text is absent in the node.
+     * @param   {function}      foundFn     Function that accepts the DOM node of the item, the item, and
+     *                                      the Wui.Search match as parameters when text is found in the node.
+     * @param   {function}      absentFn    Function that accepts the DOM node of the item, and the item,
+     *                                      as parameters when text is absent in the node.
      */
     searchHTMLText: function(srchVal, foundFn, absentFn) {
-        var me = this,
-            options = me.items.map(function(itm) {
-                return itm.el;
-            });
+        var me = this;
             
-        me.each.call(options, function(itm) {
+        me.each(function(itm) {
             // Search only visible text here (rather than regex'ing on the html) so we only get visible items
             // Also allows us to use pseudo-classes to add non-searchable text.
-            if(itm.text().toUpperCase().indexOf(srchVal.toUpperCase()) >= 0 && typeof foundFn == 'function') {
-                return foundFn(itm);
+            var match = me.matchItem(itm, srchVal);
+            
+            if(match !== null && typeof foundFn == 'function') {
+                return foundFn(itm.el, itm, match);
             }
             else if (typeof absentFn == 'function') {
-                return absentFn(itm);
+                return absentFn(itm.el, itm);
             }
         });
     },
@@ -1376,41 +2911,22 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     selectAjacent: function(dir) {
         var me = this,
         
-            // Determine the visible elements.
-            options = me.items.map(function(itm) {
-                if (itm.rec.disabled === true || !itm.el.is(':visible')) {
-                    return undefined;
-                }
-                else {
-                    return itm.el;
-                }
-            }).filter(function(itm){
-                return (itm !== undefined);
-            }),
+            // Determine the visible items. Virtualized lists show the items in their rows.
+            options = (me.virtual ? (me.rows || []).map(function(row) { return row.itm; }) : me.items)
+                .filter(function(itm) {
+                    return (itm !== undefined && itm.rec.disabled !== true && (me.virtual || itm.el.is(':visible')));
+                }),
             
-            // Get the index of the selected element in the current options array (if any).
+            // Get the index of the selected item in the current options array (if any).
             selectedIndex = (function(selection) {
-                var retVal;
-                
-                // If there is a selected item, move from it, else go from an end.
-                if (selection.length > 0) {
-                    options.forEach(function(option, index) {
-                        if (option[0] === selection[0].el[0]) {
-                            retVal = index;
-                            
-                            // breaks loop
-                            return false;
-                        }
-                    });
-                }
+                var index = (selection.length > 0) ? options.indexOf(selection[0]) : -1;
                 
-                return retVal;
+                return (index !== -1) ? index : undefined;
             })(me.selected),
             
             // Determine the value of the edge depending on an arrow key.
             theEnd = (dir > 0) ? 0 : options.length - 1,
-            itm,
-            el;
+            itm;
             
         // If the drop down was just opened, we only want to show the selected item, not change it.
         if (me.justOpened === true) {
@@ -1420,18 +2936,23 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             
         // If there is a selected item, move from it, else go from an end.
         if ($.isNumeric(selectedIndex)) {
-            el = options[selectedIndex + dir];
+            itm = options[selectedIndex + dir];
         }
         else {
-            el = options[theEnd];
+            itm = options[theEnd];
         }
         
-        itm = me.selectByEl(el);
-        
         // If itm is not a Wui object, we're likely on an edge. Go to the other end of the list.
         if (!$.isPlainObject(itm)) {
-            itm = me.selectByEl(options[theEnd]);
+            itm = options[theEnd];
+        }
+        
+        if (itm) {
+            me.itemSelect(itm);
+            me.scrollToCurrent();
         }
+        
+        return itm;
     },
 
 
@@ -1451,6 +2972,42 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
 
 
+    /**
+     * Moves through a tree from the selected item, as the right and left arrow keys do. Expanding
+     * opens a collapsed branch or else selects its first child, and collapsing closes an expanded
+     * branch or else selects its parent.
+     *
+     * @param       {Boolean}   expand      Whether to expand (true) or collapse (false)
+     *
+     * @returns     {Object}    The selected item
+     */
+    selectInTree: function(expand) {
+        var me = this,
+            itm = me.selected[0],
+            next;
+        
+        if (!me.tree || !itm) {
+            return itm;
+        }
+        
+        if (itm.children.length > 0 && itm.expanded !== expand) {
+            me.expandItem(itm, expand);
+        }
+        else {
+            next = (expand) ? itm.children.filter(function(child) {
+                return child.revealed !== false && child.rec.disabled !== true;
+            })[0] : itm.parent;
+            
+            if (next && next.rec.disabled !== true) {
+                me.itemSelect(next);
+                me.scrollToCurrent();
+            }
+        }
+        
+        return me.selected[0];
+    },
+    
+    
     /**
      * Selects the matching DataList item.
      *
@@ -1494,6 +3051,9 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
         if (Wui.isset(selectedItm)) {
             me.set();
         }
+        else if (me.value !== null && (typeof me.lookup === 'function' || me.lookupUrl !== null)) {
+            me.lookupValue(me.value);
+        }
         else {
             me.notFound();
         }
@@ -1514,7 +3074,8 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             me.itemSelect(item.data('itm'));
         }
         
-        if (me.selected[0].el[0] !== item[0]) {
+        // The selection may be scrolled out of a virtualized list, and so not rendered
+        if (!me.selected[0].el || me.selected[0].el[0] !== item[0]) {
             me.itemSelect(item.data('itm'));
         }
     },
@@ -1588,15 +3149,17 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             }
             
             if (elem.observer_count == option_length) {
-                // Only fire the change event if at least one option is selected.
-                if (elem.hasSelected === true) {
+                // Only fire the change event if at least one option is selected, unless multiple
+                // selections are allowed in which case deselecting everything is a change too.
+                if (elem.hasSelected === true || elem.multiple) {
                     // setTimeout necessary for operating after mutations on the select have occured.
                     setTimeout(function(){
                         // Setting selectedIndex is VITAL to the value being set properly on the
                         // select tag. When only setting the attribute on the option tag, the value
-                        // doesn't always follow.
+                        // doesn't always follow. A multiple select would lose all but one of its
+                        // selections, and relies on the attribute instead.
                         i = option_length;
-                        while(i--) {
+                        while(i-- && !elem.multiple) {
                             option = options[i];
                             if (option._selected) {
                                 elem.selectedIndex = i;
@@ -1645,6 +3208,19 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     set: function() {
         var me = this,
             selection = me.selected[0];
+        
+        // With multiple selections, setting toggles the item in the list in or out of the
+        // selections. Only done with the list open so tabbing off the field won't toggle anything.
+        if (me.multiSelect) {
+            if (selection && me._open && selection.rec.disabled !== true) {
+                me[(me.indexOfSelection(selection.rec) === -1) ? 'addSelection' : 'removeSelection'](selection.rec);
+                me.setFieldValue('');
+                me.previous = '';
+                me.hilightText('');
+            }
+            
+            return;
+        }
 
         if (selection) {
             // me.setVal calls this function so this if statement prevents an infinite loop
@@ -1701,7 +3277,7 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             
         text = titleText;
 
-        if (me.value && me.value.disabled !== true && titleText.length === 0 && $.trim(me.value[me.valueItem]).length === 0) {
+        if ($.isPlainObject(me.value) && me.value.disabled !== true && titleText.length === 0 && $.trim(me.value[me.valueItem]).length === 0) {
             titleText = 'A blank value is selected.';
         }
 
@@ -1722,16 +3298,21 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     _setListeners: function() {
         var me = this,
             keys = {
+                BACKSPACE: 8,
                 TAB:    9,
                 ENTER:  13,
                 SHIFT:  16,
                 ESC:    27,
+                LEFT:   37,
                 UP:     38,
+                RIGHT:  39,
                 DOWN:   40
             };
                     
         return me.field
             .on('keydown', function(event) {
+                var treeKey;
+                
                 // If the option list is open, enter will set a value, otherwise it passes
                 // through so a user can submit a form while focus is on this field.
                 if (event.keyCode == keys.ENTER) {
@@ -1759,6 +3340,11 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                     return false;
                 }
                 
+                // Backspacing in an empty field removes the last of multiple selections
+                if (event.keyCode == keys.BACKSPACE && me.multiSelect && me.field.val().length === 0) {
+                    me.removeSelection(me.value[me.value.length - 1]);
+                }
+                
                 // So tabbing off of the field will select the last selected option and not get
                 // confused by the mouse hovering over an item.
                 if (event.keyCode == keys.TAB) {
@@ -1771,6 +3357,10 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                     }
                 }
                 else {
+                    // The right and left arrows expand and collapse the branches of an open tree,
+                    // rather than moving the cursor.
+                    treeKey = (me.tree && me._open && me.selected.length > 0 && $.inArray(event.keyCode, [keys.LEFT, keys.RIGHT]) != -1);
+                    
                     // Open drop down on any keypress that isn't shift or enter.
                     if ($.inArray(event.keyCode,[keys.ENTER, keys.SHIFT]) == -1) {
                         if (!me._open) {
@@ -1796,6 +3386,11 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                                 break;
                         }
                     }
+                    else if (treeKey) {
+                        event.preventDefault();
+                        me.can_search = false;
+                        me.selectInTree(event.keyCode == keys.RIGHT);
+                    }
                     else {
                         // for ie8's lack of 'input' support.
                         me.can_search = true;
@@ -1809,7 +3404,12 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                     if (me._open) {
                         event.stopPropagation();
                         event.preventDefault();
-                        me.set();
+                        
+                        // Multiple selections remain open after keydown, and setting again
+                        // would toggle the selection back out.
+                        if (!me.multiSelect) {
+                            me.set();
+                        }
                     }
                 }
                 else {
@@ -1843,8 +3443,12 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                                 me.selectTypeBuffer += key;
                             }
                             
-                            me.searchHTMLText(me.selectTypeBuffer, function(itm) {
-                                me.selectByEl(itm);
+                            // Stop at the first match
+                            me.searchHTMLText(me.selectTypeBuffer, function(el, itm) {
+                                me.itemSelect(itm);
+                                me.scrollToCurrent();
+                                
+                                return false;
                             });
                         }
                     }
@@ -1898,18 +3502,159 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
                     
 
     /**
-     * Allows the value to be set via a simple or complex value.
+     * Sets the value of the Combo once any loading is done, firing 'valchange' as val() does.
+     * A value found in the data kept with the persist config is set as soon as that data is set,
+     * without waiting for the data to load again.
+     *
+     * @param       {*}         v       A simple value, a record, or an array of them for a
+     *                                  multiSelect Combo.
+     *
+     * @returns     {Object}    A promise resolved with the selected record (or records for a
+     *                          multiSelect Combo). Values that aren't in the data are looked up
+     *                          with lookupValue(), which calls notFound() and rejects the promise
+     *                          when there's no record for the value. Rejected with the error of
+     *                          the load when loading the data fails. See whenReady().
+     */
+    setValue: function(v) {
+        var me = this,
+            findItem = function() {
+                return me.getItemBy(me.valueItem, ($.isPlainObject(v)) ? v[me.valueItem] : v);
+            };
+        
+        return $.when(me.hydration).then(function(hydrated) {
+            var item = (hydrated === true && !me.multiSelect) ? findItem() : undefined;
+            
+            // Data kept from an earlier page load shows the value before the data loads again
+            if (Wui.isset(item)) {
+                me.val(item.rec);
+                
+                return item.rec;
+            }
+            
+            return me.whenReady().then(function() {
+                if (me.multiSelect) {
+                    me.val(v);
+                    
+                    return me.value;
+                }
+                
+                item = findItem();
+                
+                if (!Wui.isset(item)) {
+                    return me.lookupValue(v);
+                }
+                
+                me.val(item.rec);
+                
+                return item.rec;
+            });
+        });
+    },
+    
+    
+    /**
+     * Allows the value to be set via a simple or complex value. Any lookup of a previous value
+     * that is still pending is ignored.
+     *
+     * @param       {*}         sv      A simple value, or a record.
+     * @param       {Boolean}   silent  Optional. False to not fire 'valchange' when the value is
+     *                                  looked up. See lookupValue().
+     *
+     * @returns     {Object}    The selected item, or the promise of lookupValue() when the value
+     *                          is looked up.
      */
-    setVal: function(sv) {
+    setVal: function(sv, silent) {
         var me = this,
-            searchItem = ($.isPlainObject(sv)) ? sv[me.valueItem] : sv,
-            item = me.selectBy(me.valueItem, searchItem);
+            searchItem,
+            item;
+        
+        me.cancelLookup();
+        
+        if (me.multiSelect) {
+            return me.setValMultiple(sv);
+        }
+        
+        searchItem = ($.isPlainObject(sv)) ? sv[me.valueItem] : sv;
+        item = me.selectBy(me.valueItem, searchItem);
         
         if ($.isPlainObject(item)) {
             me.value = item.rec;
             me.set();
             return item;
         }
+        
+        // Values that aren't in the data (such as on a remote Combo) are looked up, unless the
+        // value is the record already looked up.
+        if (sv !== null && sv !== undefined && sv !== me.value && (typeof me.lookup === 'function' || me.lookupUrl !== null)) {
+            return me.lookupValue(sv, silent);
+        }
+    },
+    
+    
+    /**
+     * Sets the selections of a multiSelect Combo. Values not found in the data are dropped unless
+     * they are records themselves. Fires 'wuiselect' and 'wuideselect' for every record added to
+     * or removed from the selections.
+     *
+     * @param       {Array|*}   sv      An array of simple values or records, or a single value.
+     *
+     * @returns     {Array}     The selected records.
+     */
+    setValMultiple: function(sv) {
+        var me = this,
+            oldVal = me.value || [],
+            newVal = [],
+            changed = false;
+        
+        if (sv === null || sv === undefined || sv === '') {
+            sv = [];
+        }
+        else if (!$.isArray(sv)) {
+            sv = [sv];
+        }
+        
+        sv.forEach(function(val) {
+            var searchItem = ($.isPlainObject(val)) ? val[me.valueItem] : val,
+                item = me.getItemBy(me.valueItem, searchItem),
+                rec = (item) ? item.rec : (($.isPlainObject(val)) ? val : undefined);
+            
+            if (rec && me.indexOfSelection(rec, newVal) === -1) {
+                newVal.push(rec);
+            }
+        });
+        
+        me.value = newVal;
+        
+        // Fire listeners for each record that came or went
+        oldVal.forEach(function(rec) {
+            var item;
+            
+            if (me.indexOfSelection(rec) === -1) {
+                item = me.getItemBy(me.valueItem, rec[me.valueItem]) || {};
+                me.el.trigger($.Event('wuideselect'), [me, item.el, rec]);
+                changed = true;
+            }
+        });
+        
+        newVal.forEach(function(rec) {
+            var item;
+            
+            if (me.indexOfSelection(rec, oldVal) === -1) {
+                item = me.getItemBy(me.valueItem, rec[me.valueItem]) || {};
+                me.el.trigger($.Event('wuiselect'), [me, item.el, rec]);
+                changed = true;
+            }
+        });
+        
+        if (changed) {
+            me.el.trigger($.Event('wuichange'), [me, undefined, undefined, me.value]);
+        }
+        
+        me.renderChips();
+        me.markSelections();
+        me.toggleFieldSearchability();
+        
+        return me.value;
     },
     
     
@@ -1956,6 +3701,41 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
     },
 
 
+    /**
+     * Makes the items of a tree from the filtered data (see Wui.Data.getTree()), in the order they
+     * are listed. Besides the 'rec', each item contains its 'depth', its 'parent' item, its
+     * 'children' items, the 'key' of its identity, and whether it is 'expanded'.
+     *
+     * @returns     {Array}     The items of the tree
+     */
+    treeItems: function() {
+        var me = this,
+            nodes = me.flattenTree(me.getTree(me.filteredData));
+        
+        // Parents come before their children, so their items are made first
+        nodes.forEach(function(node) {
+            var id = (node.rec !== null && typeof node.rec === 'object') ? node.rec[me.identity] : undefined,
+                itm = node.itm = {
+                    rec:        node.rec,
+                    depth:      node.depth,
+                    parent:     (node.parent) ? node.parent.itm : null,
+                    children:   [],
+                    key:        (id !== null && id !== undefined) ? me.identityKey(id) : undefined
+                };
+            
+            itm.expanded = (itm.key !== undefined && me.expandedKeys.hasOwnProperty(itm.key)) ? me.expandedKeys[itm.key] : me.expanded;
+            
+            if (itm.parent) {
+                itm.parent.children.push(itm);
+            }
+        });
+        
+        return nodes.map(function(node) {
+            return node.itm;
+        });
+    },
+    
+    
     /**
      * Works similarly to jQuery's val() method. If arguments are omitted the value of the FormField will be returned.
      * If arguments are specified the field's setVal() method and _setChanged() method are called, and the values
@@ -1972,17 +3752,56 @@ Wui.Combo2.prototype = $.extend(new Wui.Data(), {
             return me.getVal();
         }
         else {
-            var oldVal = me.value;
+            var oldVal = me.value,
+                result;
 
             // Set the actual value of the item
-            me.setVal.apply(me,arguments);
+            result = me.setVal.apply(me,arguments);
             
-            // Call change listeners
-            if(arguments[1] !== false)
+            // Call change listeners. Values being looked up call them once the lookup is done.
+            if(arguments[1] !== false && !(result && typeof result.then === 'function'))
                 me._setChanged(oldVal);
             
             // Return the passed value(s)
             return arguments;
         }
+    },
+    
+    
+    /**
+     * Stops following the changes of the store the Combo is bound to, if any. The Combo keeps
+     * its current data, and broadcasts its own changes again.
+     */
+    unbindStore: function() {
+        var me = this;
+        
+        if (me.store instanceof Wui.Data && me.storeListener) {
+            me.store.off('datachanged', me.storeListener);
+            me.store.off('load*', me.storeLoadListener);
+            me.broadcast = me.ownBroadcast;
+            me.loadError = null;
+            me.el.removeClass('wui-loading');
+            me.renderRetryRow();
+        }
+        
+        me.store = null;
+        me.storeListener = null;
+        me.storeLoadListener = null;
+    },
+    
+    
+    /**
+     * Same as Wui.Data.whenReady() but also waits for a remote search that hasn't been sent yet
+     * (see queueSearch()), and for the store the Combo is bound to.
+     *
+     * @returns     {Object}    A promise resolved with the data and the Combo, or rejected with
+     *                          the error of a load that failed.
+     */
+    whenReady: function() {
+        var me = this;
+        
+        return $.when(me.queuedSearch, (me.store instanceof Wui.Data) ? me.store.whenReady() : null).then(function() {
+            return Wui.Data.prototype.whenReady.call(me);
+        });
     }
 });
\ No newline at end of file
@@ -1,5 +1,9 @@
 /**
- @event        datachanged    When the data changes (name, data object)
+ @event        datachanged    When the data changes (name, data object, array of changes)
+ @event        dataadd        When records are added (name, data object, change)
+ @event        dataremove     When records are removed (name, data object, change)
+ @event        dataupdate     When records are changed (name, data object, change)
+ @event        datareset      When the data is replaced, sorted or filtered (name, data object, change)
  @author    Stephen Nielsen (rolfe.nielsen@gmail.com)
 
 The WUI Data Object is for handling data whether remote or local. It will fire 
@@ -9,36 +13,180 @@ framework for working with data.
 If data is remote, Wui.Data is an additional wrapper around the jQuery AJAX method 
 and provides for pre-processing data. Data can be pushed and spliced into/out of 
 the object and events will be fired accordingly.
+
+A change is an object containing its 'type' ('add', 'remove', 'update' or 'reset'), the affected 'records' and their
+'indices' in the data. Removed records carry the indices they had before being removed, and updates carry the
+'previous' values of the records. A reset carries the whole data. Data with an identity is compared with the data
+replacing it in setData(), so that only the records added, removed or updated are reported.
+
+Records added, removed or updated with push(), splice(), updateRecord(), removeById() and upsert() are tracked until
+they're committed with commitChanges(), undone with rejectChanges(), or saved with sync(). Changes that weren't saved
+survive setting the data, such as when it is loaded again: they're applied again to the records as loaded, matched by
+identity (see reapplyChanges()). Data without an identity can't be matched, so its changes are discarded and
+'changesdiscarded' is emitted with them. Changing the values of records directly isn't tracked.
+
+Records can be arranged as a tree, either from arrays of child records (see childrenItem) or from the identity of the
+parent of each record (see parentItem). The data stays as it was set, and getTree() arranges the records into nodes.
+
+Events can be listened to on the object itself with on(), once() and off(), eg. data.on('dataadd', fn) or data.on('*', fn),
+which keeps the events of one data object from reaching the listeners of another. Set broadcast to false to stop
+triggering them on the document. Remote loads also emit 'loadstart' when a request is made, then 'loadsuccess' with the
+response or 'loadfailure' with the error, on the object alone.
 */
 Wui.Data = function(args){
     $.extend(this,{
         /** Array of data that will be stored in the object. Can be specified for the object or loaded remotely */
         data:           [],
         
-        /** Name a key in the data that represents the identity field. */
+        /** Array describing the fields of the records, which are converted as data is set (by processData()) or added with
+        push(), splice(), updateRecord() or upsert(). A field is
+        the name of a key, or an object containing:
+        
+            name:           The key of the field in the record
+            type:           'string', 'number', 'boolean' or 'date', or another type in Wui.Data.fieldTypes
+            convert:        A function converting the value, passed the value and the record as it was received.
+                            Used in place of the type.
+            defaultValue:   The value of the field when the record doesn't have one (undefined or null)
+            mapping:        The path of the value in the record as received, eg. 'address.city'. Defaults to the name.
+        
+        eg. fields: ['name', {name: 'amount', type: 'number', defaultValue: 0}, {name: 'city', mapping: 'address.city'}]
+        Keys of the records that aren't fields are kept as they are. */
+        fields:         null,
+        
+        /** Array of the filters of the data, objects containing an 'id' and a 'predicate'. See addFilter(). */
+        filters:        [],
+        
+        /** Name a key in the data that represents the identity field. Records are indexed by it for getById(),
+        updateRecord(), removeById() and upsert(). */
         identity:       null,
         
+        /** Whether identity values are compared as strings, so that '2' finds the record with an identity of 2. False
+        compares them by type as well. */
+        coerceIdentity: true,
+        
+        /** Name of a key in the records holding an array of their child records, making the data a tree. The child
+        records aren't part of the data, so they are only found through getTree(). */
+        childrenItem:   null,
+        
+        /** Name of a key in the records holding the identity of their parent record, making the data a tree of the
+        records in the data. Requires an identity. Records whose parent isn't in the (filtered) data are at the root. */
+        parentItem:     null,
+        
         /** Name of the data object. Allows the object to be identified in the listeners, and namespaces events. */
         name:           null,
         
+        /** Whether events are also triggered on the document, where every listener in the application receives them.
+        Listeners added with on() receive the events of the object either way. */
+        broadcast:      true,
+        
         /** Object containing keys that will be passed remotely */
         params:         {},
         
+        /** Whether to keep the data loaded from the url in the browser, so that it can be shown at once the next time
+        the page loads and then be loaded again in the background. True, or an object containing:
+        
+            storage:    'localStorage' (the default) or 'indexedDB'. See Wui.Data.snapshotStores.
+            key:        The key of the snapshot. Defaults to the name of the data object, which is then required.
+            ttl:        Milliseconds a snapshot is used for. Zero (the default) uses it until it is replaced.
+            version:    Snapshots saved with a different version are discarded, eg. when the records change shape.
+            revalidate: Whether to load the data again after setting it from a snapshot (default: true). The data is
+                        only set again, and the snapshot replaced, if the data changed.
+        
+        Meant for data loaded whole, such as lists of countries. Only the first page of paged data is kept. */
+        persist:        false,
+        
         /** URL of the remote resource from which to obtain data. A null URL will assume a local data definition. */
         url:            null,
         
-        /** Special configuration of the ajax method. Defaults are:
+        /** How the records and the total are read from a response, when they aren't found with the dataContainer and
+        totalContainer. The name of a reader in Wui.Data.readers ('json', 'jsonapi', 'odata', 'graphql' or 'csv'), an
+        object with the 'type' of the reader and its configs, or a function passed the response that returns the array
+        of records, or an object containing the 'data' and 'total'.
+        
+        eg. reader: {type: 'json', root: 'result.items', total: 'result.count'} */
+        reader:         null,
+        
+        /** Special configuration of the ajax method, which is also passed to other transports. Defaults are:
         
             data:       me.params,
-            dataType:   'json',
+            dataType:   'json', or the dataType of the reader
             success:    function(r){ me.success.call(me,r); },
             error:      function(e){ me.failure.call(me,e); },
         */
         ajaxConfig:     {},
         
+        /** Object containing the URLs of the 'create', 'update' and 'destroy' requests of sync(). Actions without one are
+        sent to the url. */
+        api:            null,
+        
+        /** Name of the param carrying the action ('create', 'update' or 'destroy') of a sync() request. Null to not
+        send it. */
+        actionParam:    'action',
+        
+        /** Whether to cache remote responses by url and params, so repeated requests are answered without going to the
+        server. True, or an object containing the 'ttl' (milliseconds) and 'maxSize' (number of responses) of the cache.
+        See Wui.Cache for the defaults. */
+        cache:          false,
+        
+        /** Milliseconds to wait for a load before it fails with a statusText of 'timeout'. Zero waits as long as the
+        transport does. */
+        timeout:        0,
+        
+        /** The number of times to try a failed load again. Only loads using GET (the default), which can safely be
+        repeated, are retried, and only when they time out, can't reach the server, or the server has trouble (408, 429
+        and 5xx statuses). See shouldRetry(). */
+        retries:        0,
+        
+        /** Milliseconds to wait before the first retry. The wait doubles with every retry after it. */
+        retryDelay:     500,
+        
+        /** Whether a load that fails is answered with the last response received for the same url and params, if
+        there is one, so that the data stays usable when the server or the network isn't. The failure hooks still
+        run, and the stale member is true until a load succeeds. Off by default, as every response is then copied and
+        kept, for up to 20 urls and params. */
+        serveLastGood:  false,
+        
+        /** The number of records to request at a time. Zero requests all of the data at once. Paging relies on the
+        response carrying the total number of records (see totalContainer), and loadNextPage() appends the next page. */
+        pageSize:       0,
+        
+        /** Name of the param carrying the page number (starting at 1) of a paged request. Null to not send it. */
+        pageParam:      'page',
+        
+        /** Name of the param carrying the position of the first record (starting at 0) of a paged request. Null to not
+        send it. */
+        startParam:     'start',
+        
+        /** Name of the param carrying the page size of a paged request. Null to not send it. */
+        limitParam:     'limit',
+        
+        /** Whether sorting sends the sorters to the server (see sortParam) rather than sorting the data locally. Only
+        applies to data objects with a remote source. */
+        remoteSort:     false,
+        
+        /** Name of the param carrying the sorters of a remote sort, in the form 'name:asc,age:desc'. See sortParams(). */
+        sortParam:      'sort',
+        
+        /** Array of the sorters of the data, which are applied every time the data is set. A sorter is the name of a
+        field, an object containing the 'field' and its 'direction' ('asc' or 'desc'), or a function comparing two
+        records. Strings are compared by the rules of the `locale` of the data object (if it has one, like Wui.Combo2), with numbers in them
+        compared by value so 'Item 2' comes before 'Item 10'. See sort(). */
+        sorters:        [],
+        
         /** The total number of records contained in the data object */
-        total:          0
+        total:          0,
+        
+        /** How data is loaded by loadData(). The name of a registered transport ('ajax', 'fetch', 'memory',
+        'localStorage'), an object with a 'type' and configs for the transport, or a Wui.Transport. See Transports.js */
+        transport:      'ajax'
     },args);
+    
+    this.data = this.convertRecords(this.data);
+    this.indexData();
+    this.applyFilters();
+    
+    if(this.persist)
+        this.hydrate();
 };
 Wui.Data.prototype = {
     /** An object in the remote response actually containing the data.
@@ -48,12 +196,28 @@ Wui.Data.prototype = {
     feature will overrride the Data object's counting the data. Best set modifying the prototype eg. Wui.Data.prototype.totalContainer = 'total'; */
     totalContainer: null,
     
+    /** The error of the last load, if it failed, until a load succeeds. See retry(). */
+    loadError:      null,
+    
+    /** True when the data is the last good data, served because a load failed. See serveLastGood. */
+    stale:          false,
+    
+    /** The promise of the last hydrate(), resolved once the data has been set from the snapshot, if there was one. */
+    hydration:      null,
+    
     /** 
     @param {array}    newData    Array of the new data
     @eventhook Used for when data is changed.
     */
     dataChanged:    function(){},
     
+    /**
+    @param {array} changes Array of the changes made to the data, none of which are resets. See the changes above.
+    @return True if the changes were handled, otherwise dataChanged() is called.
+    @eventhook Allows for applying changes to the data piece by piece rather than starting over. Meant to be overridden.
+    */
+    dataPatched:    function(){ return false; },
+    
     /**
     @param {function} fn A function that gets called for each item in the object's data array
     
@@ -68,156 +232,2191 @@ Wui.Data.prototype = {
                     },
     
     /**
-    Performs a remote call and aborts previous requests
-    Between loadData(), success() and setData() fires several event hooks in this order:
+    @param {string} id Identifies the filter so it can be removed or replaced. A filter with the same id is replaced.
+    @param {function} predicate Called with each record and its index in the data. Records are kept when it returns a truthy value.
+    @return The filtered data.
+    Adds a filter to the data, which leaves the data as it is and keeps the records passing every filter in filteredData.
+    Fires 'datachanged'. eg. addFilter('active', function(rec){ return rec.active; })
+    */
+    addFilter:      function(id, predicate){
+                        var me = this;
+                        
+                        me.filters = (me.filters || []).filter(function(filter){
+                            return filter.id !== id;
+                        }).concat({ id: id, predicate: predicate });
+                        
+                        me.fireDataChanged();
+                        
+                        return me.filteredData;
+                    },
     
-    1. setParams()
-    2. beforeLoad()
-    3. onSuccess()
-    4. beforeSet()
-    5. processData()
-    6. dataChanged()
-    -  'datachanged' event is fired
-    7. afterSet()
+    /**
+    @return The filtered data.
+    Sets filteredData to the records of the data that pass every filter. When there are no filters, filteredData is the
+    data array itself. Doesn't fire events.
+    */
+    applyFilters:   function(){
+                        var me = this,
+                            filters = me.filters || [];
+                        
+                        me.filteredData = (filters.length && $.isArray(me.data)) ? me.data.filter(function(rec, index){
+                            return filters.every(function(filter){
+                                return !!filter.predicate.call(me, rec, index);
+                            });
+                        }) : me.data;
+                        
+                        return me.filteredData;
+                    },
     
-    Upon failure will fire onFailure()
+    /**
+    @return The data, which is no longer filtered.
+    Removes every filter. Fires 'datachanged'.
     */
-    loadData:       function(){
+    clearFilters:   function(){
+                        var me = this;
+                        
+                        me.filters = [];
+                        me.fireDataChanged();
+                        
+                        return me.filteredData;
+                    },
+    
+    /**
+    @param {string} id The id of the filter to remove. See addFilter().
+    @return The filtered data.
+    Removes a filter. Fires 'datachanged'.
+    */
+    removeFilter:   function(id){
+                        var me = this;
+                        
+                        me.filters = (me.filters || []).filter(function(filter){
+                            return filter.id !== id;
+                        });
+                        
+                        me.fireDataChanged();
+                        
+                        return me.filteredData;
+                    },
+    
+    /**
+    @param {any} id The identity value of a record
+    @return The record having the identity, or undefined if there is none. See coerceIdentity.
+    */
+    getById:        function(id){
+                        var me = this;
+                        
+                        if(!me.identity)
+                            throw new Error('Wui.js - The data object needs an identity to find records by id.');
+                        
+                        return (id !== null && id !== undefined && me.index.hasOwnProperty(me.identityKey(id))) ? me.index[me.identityKey(id)] : undefined;
+                    },
+    
+    /**
+    @param {any} a An identity value
+    @param {any} b Another identity value
+    @return Whether the values identify the same record. See coerceIdentity.
+    */
+    identityEquals: function(a, b){
+                        return a !== null && a !== undefined && b !== null && b !== undefined && this.identityKey(a) === this.identityKey(b);
+                    },
+    
+    /**
+    @param {any} id An identity value
+    @return The key of the identity value in the index.
+    */
+    identityKey:    function(id){
+                        return (this.coerceIdentity) ? String(id) : (typeof id) + ':' + String(id);
+                    },
+    
+    /**
+    Indexes the records of the data by their identity. Where records share an identity, the first is indexed. Called
+    whenever the data changes, doesn't fire events.
+    */
+    indexData:      function(){
+                        var me = this;
+                        
+                        me.index = {};
+                        
+                        if(me.identity && $.isArray(me.data)){
+                            me.data.forEach(function(rec){
+                                var id = (rec !== null && typeof rec === 'object') ? rec[me.identity] : undefined,
+                                    key;
+                                
+                                if(id !== null && id !== undefined && !me.index.hasOwnProperty(key = me.identityKey(id)))
+                                    me.index[key] = rec;
+                            });
+                        }
+                    },
+    
+    /**
+    @param {array} changes The changes made to the data
+    Updates the index for the changes rather than indexing every record again, when it can. Updates that leave the
+    identity of their records as it was need nothing, and records added with a new identity are added to it. Other
+    changes index the data again. See indexData().
+    */
+    indexChanges:   function(changes){
                         var me = this,
-                            config = $.extend({
-                                data:       me.params,
-                                dataType:   'json',
-                                success:    function(){ me.success.apply(me,arguments); },
-                                error:      function(){ me.failure.apply(me,arguments); },
-                            },me.ajaxConfig);
+                            keyOf = function(rec){
+                                var id = (rec !== null && typeof rec === 'object') ? rec[me.identity] : undefined;
+                                
+                                return (id !== null && id !== undefined) ? me.identityKey(id) : undefined;
+                            },
+                            incremental = me.identity && me.hasOwnProperty('index') && changes.every(function(change){
+                                if(change.type === 'update')
+                                    return change.records.every(function(rec, i){
+                                        return !change.previous || keyOf(rec) === keyOf(change.previous[i]);
+                                    });
+                                
+                                // Added records can be indexed as long as they don't share an identity with another
+                                return change.type === 'add' && change.records.every(function(rec){
+                                    var key = keyOf(rec);
+                                    
+                                    return key === undefined || !me.index.hasOwnProperty(key) || me.index[key] === rec;
+                                });
+                            });
                         
-                        // Work in additional parameters that will change or stop the request
-                        var paramsOkay = me.setParams.apply(me,arguments),
-                            beforeLoad = me.beforeLoad.apply(me,arguments);
-
-                        // Perform request
-                        if(paramsOkay !== false && beforeLoad !== false){
-                            // abort the last request in case it takes longer to come back than the one we're going to call
-                            if(me.lastRequest && me.lastRequest.readyState != 4) {
-                                me.lastRequest.abort();
-                            }
+                        if(!incremental)
+                            return me.indexData();
+                        
+                        changes.forEach(function(change){
+                            if(change.type === 'add')
+                                change.records.forEach(function(rec){
+                                    var key = keyOf(rec);
+                                    
+                                    if(key !== undefined)
+                                        me.index[key] = rec;
+                                });
+                        });
+                    },
+    
+    /**
+    @param {array} nodes Nodes of a tree, as returned by getTree()
+    @return An array of the nodes and all of their descendants, each followed by its children, in the order they're shown
+    in a tree.
+    */
+    flattenTree:    function(nodes){
+                        var me = this;
+                        
+                        return (nodes || []).reduce(function(flat, node){
+                            return flat.concat([node], me.flattenTree(node.children));
+                        }, []);
+                    },
+    
+    /**
+    @param {array} [records] The records to arrange. Defaults to the filtered data.
+    @return An array of the nodes at the root of the tree made of the records by the childrenItem or parentItem. A node
+    contains the record ('rec'), its 'parent' node (null at the root), an array of its 'children' nodes, and its 'depth',
+    starting at 0 for the root. Children are in the order of the records. Without either config every record is at the
+    root. A record that would be its own ancestor is put at the root.
+    */
+    getTree:        function(records){
+                        var me = this,
+                            roots = [],
+                            byKey = {},
+                            nodes;
+                        
+                        function makeNode(rec, parent){
+                            var node = { rec: rec, parent: parent || null, children: [], depth: (parent) ? parent.depth + 1 : 0 };
                             
-                            me.lastRequest = $.ajax(me.url,config);
+                            if(me.childrenItem && rec !== null && typeof rec === 'object' && $.isArray(rec[me.childrenItem])){
+                                node.children = rec[me.childrenItem].map(function(child){
+                                    return makeNode(child, node);
+                                });
+                            }
                             
-                            return me.lastRequest;
+                            return node;
                         }
                         
-                        // If there was no request made, return a rejected deferred to keep return types consistent
-                        return $.Deferred().reject();
+                        function setDepth(node, depth){
+                            node.depth = depth;
+                            node.children.forEach(function(child){ setDepth(child, depth + 1); });
+                        }
+                        
+                        records = records || me.filteredData || me.data || [];
+                        
+                        if(!me.parentItem)
+                            return records.map(function(rec){ return makeNode(rec); });
+                        
+                        if(!me.identity)
+                            throw new Error('Wui.js - The data object needs an identity to arrange records by their parentItem.');
+                        
+                        nodes = records.map(function(rec){
+                            var node = makeNode(rec),
+                                key = me.identityKey(rec[me.identity]);
+                            
+                            if(!byKey.hasOwnProperty(key))
+                                byKey[key] = node;
+                            
+                            return node;
+                        });
+                        
+                        nodes.forEach(function(node){
+                            var parentId = node.rec[me.parentItem],
+                                key = (parentId !== null && parentId !== undefined) ? me.identityKey(parentId) : undefined,
+                                parent = (key !== undefined && byKey.hasOwnProperty(key)) ? byKey[key] : null,
+                                ancestor = parent;
+                            
+                            // Linking a node under its own descendant would make a loop
+                            while(ancestor && ancestor !== node)
+                                ancestor = ancestor.parent;
+                            
+                            if(parent && !ancestor){
+                                node.parent = parent;
+                                parent.children.push(node);
+                            }
+                            else{
+                                roots.push(node);
+                            }
+                        });
+                        
+                        roots.forEach(function(root){ setDepth(root, 0); });
+                        
+                        return roots;
                     },
+    
     /**
-    @param {object} params    Params to be set
-    @eventhook Can be used as is or overridden to run when parameters change.
-    Can be used as is to set parameters before an AJAX load, or it can also be used as an event hook and overridden.
-    This method is called from loadData with its arguments passed on, so arguments passed to load data will be sent here. 
-    See loadData(). If this function returns false, load data will not make a remote call.
+    @return Whether the records are arranged as a tree. See childrenItem and parentItem.
     */
-    setParams:      function(params){
-                        if(params && typeof params === 'object')
-                            $.extend(this.params,params);
+    isTree:         function(){
+                        return Boolean(this.childrenItem || this.parentItem);
                     },
     
     /**
-    @param {array} d Data to be set on the ojbect
-    @param {number} [t] Total number of records in the data set. If not specified setData will count the data set.
+    @param {any} id The identity value of a record
+    @return The removed record, or undefined if there is no record with the identity.
+    Removes the record having the identity. Fires 'dataremove' if a record is removed.
+    */
+    removeById:     function(id){
+                        var me = this,
+                            rec = me.getById(id);
+                        
+                        return (rec !== undefined) ? me.splice($.inArray(rec, me.data), 1)[0] : undefined;
+                    },
     
-    Can be called to set data locally or called by loadData(). Fires a number of events and event hooks. See loadData().
+    /**
+    @param {any} id The identity value of a record
+    @param {object} changes The keys and values to change on the record, which are converted by the fields config
+    @return The updated record, or undefined if there is no record with the identity.
+    Changes the values of the record having the identity in place. Fires 'dataupdate' if a record is updated.
     */
-    setData:        function(d,t){
-                        var me = this;
+    updateRecord:   function(id, changes){
+                        var me = this,
+                            rec = me.getById(id),
+                            previous,
+                            change;
                         
-                        // Event hook for before the data is set
-                        me.beforeSet(d);
+                        if(rec === undefined)
+                            return undefined;
                         
-                        // Set the data
-                        me.data = me.processData(d);
-                        me.total = ($.isNumeric(t)) ? t : (me.data) ? me.data.length : 0;
+                        previous = $.extend({}, rec);
+                        $.extend(rec, me.convertRecord(changes, true));
                         
-                        me.fireDataChanged();
-                    },
-
-    fireDataChanged:function(){
-                        var me = this, dn = (me.name || 'w121-data');
-
-                        me.dataChanged(me.data);
-                        $(document).trigger($.Event('datachanged.' + dn),[dn, me])
-                            .trigger($.Event('datachanged'),[dn, me]);
-                        me.afterSet(me.data);
+                        if(!me.sortsRemotely())
+                            me.sortData();
+                        
+                        change = me.makeChange('update', [rec]);
+                        change.previous = [previous];
+                        me.trackChanges([change]);
+                        me.fireDataChanged(change);
+                        
+                        return rec;
                     },
     
-    /** @eventhook Event hook that will allow for the setting of the params config before loadData performs a remote call. Meant to be overridden. See loadData().
-        If this function returns false, load data will not make a remote call. */
-    beforeLoad:     function(){},
+    /**
+    @param {object|array} recs A record or an array of records
+    @return The records as they are in the data, a record or an array to match what was passed.
+    Updates the records in the data having the same identity as the records passed, and adds the rest to the end of the
+    data. The records are converted by the fields config, so the records added are converted copies. Fires 'dataupdate' and 'dataadd' as needed, and 'datachanged' once.
+    */
+    upsert:         function(recs){
+                        var me = this,
+                            list = ($.isArray(recs)) ? recs : [recs],
+                            added = [],
+                            updated = [],
+                            previous = [],
+                            changes = [],
+                            change,
+                            retVal;
+                        
+                        if(!me.identity)
+                            throw new Error('Wui.js - The data object needs an identity to upsert records.');
+                        
+                        retVal = list.map(function(received){
+                            var rec = me.convertRecord(received),
+                                existing = me.getById(rec[me.identity]);
+                            
+                            if(existing !== undefined){
+                                // Records merged more than once are reported once
+                                if($.inArray(existing, added) === -1 && $.inArray(existing, updated) === -1){
+                                    updated.push(existing);
+                                    previous.push($.extend({}, existing));
+                                }
+                                
+                                // Keys the record doesn't have are left as they were rather than defaulted
+                                return $.extend(existing, me.convertRecord(received, true));
+                            }
+                            
+                            added.push(rec);
+                            (me.data || (me.data = [])).push(rec);
+                            
+                            // Index as we go so duplicates within the records passed are merged too
+                            if(rec[me.identity] !== null && rec[me.identity] !== undefined)
+                                me.index[me.identityKey(rec[me.identity])] = rec;
+                            
+                            return rec;
+                        });
+                        
+                        me.total = Math.max(me.total || 0, me.data.length);
+                        
+                        if(!me.sortsRemotely())
+                            me.sortData();
+                        
+                        if(updated.length){
+                            change = me.makeChange('update', updated);
+                            change.previous = previous;
+                            changes.push(change);
+                        }
+                        
+                        if(added.length)
+                            changes.push(me.makeChange('add', added));
+                        
+                        me.trackChanges(changes);
+                        me.fireDataChanged(changes);
+                        
+                        return ($.isArray(recs)) ? retVal : retVal[0];
+                    },
     
     /**
-    @param    {array}    data    The value of the data cofig of the current object
-    @eventhook  Fires after data is set. Meant to be overridden. See loadData().
+    @return The change set of the object, containing the 'added' records, the 'modified' records with their 'original'
+    values, and the 'removed' records with their 'index' and 'original' values.
     */
-    afterSet:       function(){},
+    getChangeSet:   function(){
+                        var me = this;
+                        
+                        // Each object keeps its own changes rather than sharing them through a prototype
+                        if(!me.hasOwnProperty('changeSet'))
+                            me.changeSet = { added: [], modified: [], removed: [] };
+                        
+                        return me.changeSet;
+                    },
     
     /**
-    @param {array} d Data to be set on the ojbect
-    @eventhook  Fires after the remote call but before data is set on the object. Meant to be overridden. See loadData().
+    @param {array} list The modified or removed entries of the change set
+    @param {object} rec A record
+    @return The position of the entry of the record in the list, or -1.
     */
-    beforeSet:      function(){},
+    indexOfEntry:   function(list, rec){
+                        for(var i = 0; i < list.length; i++)
+                            if(list[i].record === rec)
+                                return i;
+                        
+                        return -1;
+                    },
     
     /**
-    @param {object or array} r Response from the server in JSON format
-    Runs when loadData() successfully completes a remote call.
-    Gets data straight or gets it out of the dataContainer and totalContainer.
-
-    Calls setData() passing the response and total.
+    @param {array} changes Changes made to the data with push(), splice(), updateRecord() or upsert().
+    Records the changes in the change set. Records added and then removed are forgotten, and a record updated back to
+    its original values is no longer modified.
     */
-    success:        function(r){
+    trackChanges:   function(changes){
                         var me = this,
-                            unwrapped = Wui.unwrapData.call(me,r);
+                            set = me.getChangeSet();
                         
-                        me.onSuccess(r);
-                        me.setData(unwrapped.data, unwrapped.total);
+                        changes.forEach(function(change){
+                            change.records.forEach(function(rec, i){
+                                var addedAt = $.inArray(rec, set.added),
+                                    modifiedAt = me.indexOfEntry(set.modified, rec),
+                                    removedAt = me.indexOfEntry(set.removed, rec),
+                                    entry;
+                                
+                                if(change.type === 'add'){
+                                    // A removed record put back is only modified, if it was at all
+                                    if(removedAt !== -1){
+                                        entry = set.removed.splice(removedAt, 1)[0];
+                                        
+                                        if(entry.original && !me.recordsEqual(rec, entry.original))
+                                            set.modified.push({ record: rec, original: entry.original });
+                                    }
+                                    else if(addedAt === -1) {
+                                        set.added.push(rec);
+                                    }
+                                }
+                                else if(change.type === 'remove'){
+                                    if(addedAt !== -1){
+                                        set.added.splice(addedAt, 1);
+                                    }
+                                    else {
+                                        entry = (modifiedAt !== -1) ? set.modified.splice(modifiedAt, 1)[0] : {};
+                                        set.removed.push({ record: rec, index: change.indices[i], original: entry.original });
+                                    }
+                                }
+                                else if(change.type === 'update' && addedAt === -1){
+                                    if(modifiedAt === -1)
+                                        set.modified.push(entry = { record: rec, original: change.previous[i] });
+                                    else
+                                        entry = set.modified[modifiedAt];
+                                    
+                                    if(me.recordsEqual(rec, entry.original))
+                                        set.modified.splice($.inArray(entry, set.modified), 1);
+                                }
+                            });
+                        });
                     },
     
-    /** @eventhook AllowS for the setting of the params config before loadData performs a remote call. Meant to be overridden. See loadData(). */
-    onSuccess:      function(){},
-    
-    /** @eventhook Allows for the setting of the params config before loadData performs a remote call. Meant to be overridden. See loadData(). */
-    onFailure:      function(){},
+    /**
+    @return An object containing the records to 'create', 'update' and 'destroy' to save the changes made to the data.
+    */
+    getChanges:     function(){
+                        var set = this.getChangeSet(),
+                            recordOf = function(entry){ return entry.record; };
+                        
+                        return {
+                            create:     set.added.slice(),
+                            update:     set.modified.map(recordOf),
+                            destroy:    set.removed.map(recordOf)
+                        };
+                    },
     
-    /** Runs when loadData() fails. */
-    failure:        function(e){ this.onFailure(e); },
+    /**
+    @return True if records have been added, removed or updated since the changes were last committed.
+    */
+    isDirty:        function(){
+                        var set = this.getChangeSet();
+                        
+                        return set.added.length + set.modified.length + set.removed.length > 0;
+                    },
     
-    /** 
-    @param {array} Data to be processed.
-    Allows for pre-processing of the data before it is taken into the data object. Meant to be overridden, otherwise will act as a pass-through. See loadData().*/
-    processData:    function(response){ return response; },
-
     /**
-    @param {object} [obj,...] One or more objects to be added to the end of the parent object's items array
-    @return The new length of the array 
-    Same as Array.push() but acting on the data array of the object.
+    @return The data object
+    Accepts the changes made to the data, so that it is no longer dirty. Doesn't fire events.
     */
-    push:           function(){
-                        var retVal = Array.prototype.push.apply(this.data || (this.data = []), arguments);
-                        this.total = this.data.length;
-                        this.fireDataChanged();
-                        return retVal;
+    commitChanges:  function(){
+                        this.changeSet = { added: [], modified: [], removed: [] };
+                        return this;
                     },
-
+    
     /**
-    @param  {number}    idx         Position to start making changes in the items array.
-    @param  {number}    howMany     Number of elements to remove.
-    @param  {object}    [obj,...]   One or more objects to be added to the array at position idx
-    @return An array of the removed objects, or an empty array. 
-    Same as Array.splice() but acting on the data array of the object.
+    @param {object} set The change set from before the data was set. See getChangeSet().
+    Applies changes that weren't saved to the data that was just set, matching records by identity. Removed records are
+    removed again, modified records get the values that were changed (the values as loaded becoming their original
+    values), and added records are added again, or merged into the record of the same identity. Modified records that are
+    no longer in the data are added back so the changes aren't lost. Called by setData(), doesn't fire events.
     */
-    splice:         function(){
-                        var retVal = Array.prototype.splice.apply(this.data || (this.data = []), arguments);
-                        this.total = this.data.length;
-                        this.fireDataChanged();
-                        return retVal;
-                    }
-};
\ No newline at end of file
+    reapplyChanges: function(set){
+                        var me = this,
+                            data = me.data || (me.data = []),
+                            fresh = me.getChangeSet(),
+                            length = data.length,
+                            find = function(rec){ return me.getById(rec[me.identity]); },
+                            merge = function(rec, values){
+                                var original = $.extend({}, rec);
+                                
+                                $.extend(rec, values);
+                                
+                                if(!me.recordsEqual(rec, original))
+                                    fresh.modified.push({ record: rec, original: original });
+                            };
+                        
+                        me.indexData();
+                        
+                        set.removed.forEach(function(entry){
+                            var rec = find(entry.record),
+                                index = $.inArray(rec, data);
+                            
+                            if(index !== -1){
+                                data.splice(index, 1);
+                                fresh.removed.push({ record: rec, index: index, original: $.extend({}, rec) });
+                            }
+                        });
+                        
+                        set.modified.forEach(function(entry){
+                            var rec = find(entry.record),
+                                changed = {};
+                            
+                            if(rec === undefined){
+                                data.push(entry.record);
+                                fresh.modified.push(entry);
+                                return;
+                            }
+                            
+                            // Only the values that were changed, so values changed on the server are kept
+                            Object.keys(entry.record).forEach(function(key){
+                                if(!entry.original.hasOwnProperty(key) || !me.valuesEqual(entry.original[key], entry.record[key]))
+                                    changed[key] = entry.record[key];
+                            });
+                            
+                            merge(rec, changed);
+                        });
+                        
+                        set.added.forEach(function(added){
+                            var rec = find(added);
+                            
+                            if(rec !== undefined){
+                                merge(rec, added);
+                            }
+                            else {
+                                data.push(added);
+                                fresh.added.push(added);
+                            }
+                        });
+                        
+                        me.total = Math.max((me.total || 0) + data.length - length, data.length);
+                    },
+    
+    /**
+    @return The data object
+    Undoes the changes made to the data since they were last committed: added records are removed, removed records are
+    put back where they were, and modified records get their original values back. Fires 'datareset'.
+    */
+    rejectChanges:  function(){
+                        var me = this,
+                            set = me.getChangeSet(),
+                            length = (me.data || []).length,
+                            restore = function(rec, original){
+                                Object.keys(rec).forEach(function(key){
+                                    if(!original.hasOwnProperty(key))
+                                        delete rec[key];
+                                });
+                                
+                                $.extend(rec, original);
+                            };
+                        
+                        set.modified.forEach(function(entry){
+                            restore(entry.record, entry.original);
+                        });
+                        
+                        me.data = (me.data || []).filter(function(rec){
+                            return $.inArray(rec, set.added) === -1;
+                        });
+                        
+                        // Put removed records back in the reverse of the order they were removed
+                        set.removed.slice().reverse().forEach(function(entry){
+                            if(entry.original)
+                                restore(entry.record, entry.original);
+                            
+                            me.data.splice(Math.min(entry.index, me.data.length), 0, entry.record);
+                        });
+                        
+                        me.total = Math.max((me.total || 0) + me.data.length - length, me.data.length);
+                        
+                        if(!me.sortsRemotely())
+                            me.sortData();
+                        
+                        me.commitChanges();
+                        me.fireDataChanged();
+                        
+                        return me;
+                    },
+    
+    /**
+    @return A promise resolved when every change is saved, or rejected when any fails. Either way it is passed an object
+    containing the 'succeeded' and 'failed' results, each containing the 'action', the 'record', and the 'response' or
+    'error'.
+    Saves the changes made to the data by sending each of the records to 'destroy', 'update' and 'create' through the
+    transport (see write() in Transports.js and the api config). Records are committed one by one as they are saved, so
+    those that fail remain dirty and can be synced again.
+    */
+    sync:           function(){
+                        var me = this,
+                            set = me.getChangeSet(),
+                            requests;
+                        
+                        if(!me.isRemote())
+                            throw new Error('Wui.js - sync() needs a url, or a transport that doesn\'t need one.');
+                        
+                        requests = [].concat(
+                            set.removed.map(function(entry){ return me.syncRecord('destroy', entry.record); }),
+                            set.modified.map(function(entry){ return me.syncRecord('update', entry.record); }),
+                            set.added.map(function(rec){ return me.syncRecord('create', rec); })
+                        );
+                        
+                        return $.when.apply($, requests).then(function(){
+                            var results = { succeeded: [], failed: [] };
+                            
+                            Array.prototype.forEach.call(arguments, function(result){
+                                results[(result.error) ? 'failed' : 'succeeded'].push(result);
+                            });
+                            
+                            return (results.failed.length) ? $.Deferred().reject(results) : results;
+                        });
+                    },
+    
+    /**
+    @param {string} action 'create', 'update' or 'destroy'
+    @param {object} rec The record
+    @return A promise resolved with the result of the request once it is done, whether it succeeded or not.
+    Sends a record through the write() method of the transport. On success the record is committed and updated with
+    the record in the response, if any, and 'syncsuccess' is emitted. On failure 'syncfailure' is emitted. See sync().
+    */
+    syncRecord:     function(action, rec){
+                        var me = this,
+                            dfd = $.Deferred(),
+                            sent = $.extend({}, rec),
+                            data = $.extend({}, rec);
+                        
+                        if(me.actionParam)
+                            data[me.actionParam] = action;
+                        
+                        me.getTransport().write($.extend({
+                            url:        (me.api && me.api[action]) || me.url,
+                            type:       'POST',
+                            dataType:   'json'
+                        }, me.ajaxConfig, {
+                            action:     action,
+                            data:       data,
+                            identity:   me.identity,
+                            record:     sent,
+                            success:    function(response){
+                                            var result = { action: action, record: rec, response: response };
+                                            
+                                            me.syncSuccess(action, rec, sent, response);
+                                            me.emit('syncsuccess', result);
+                                            dfd.resolve(result);
+                                        },
+                            error:      function(err){
+                                            var result = { action: action, record: rec, error: err || Wui.Transport.error(500, 'error') };
+                                            
+                                            me.emit('syncfailure', result);
+                                            dfd.resolve(result);
+                                        }
+                        }));
+                        
+                        return dfd.promise();
+                    },
+    
+    /**
+    @param {string} action 'create', 'update' or 'destroy'
+    @param {object} rec The record
+    @param {object} sent The values of the record that were sent
+    @param {object|array} response The response of the request, which may contain the record as saved
+    Commits a record that was saved. A created or updated record is given the values of the record in the response,
+    such as an identity assigned by the server, firing 'dataupdate'. A record changed while it was being saved remains
+    modified.
+    */
+    syncSuccess:    function(action, rec, sent, response){
+                        var me = this,
+                            set = me.getChangeSet(),
+                            saved = ($.isArray(response)) ? response[0] : response,
+                            changedSince = !me.recordsEqual(rec, sent),
+                            modifiedAt = me.indexOfEntry(set.modified, rec),
+                            previous,
+                            change;
+                        
+                        if(action === 'destroy'){
+                            if(me.indexOfEntry(set.removed, rec) !== -1)
+                                set.removed.splice(me.indexOfEntry(set.removed, rec), 1);
+                            
+                            return;
+                        }
+                        
+                        if(me.reader && me.getReader().dataType === 'json' && $.isPlainObject(response))
+                            saved = me.readResponse(response).data[0];
+                        else if(me.dataContainer && $.isPlainObject(saved) && saved.hasOwnProperty(me.dataContainer))
+                            saved = ($.isArray(saved[me.dataContainer])) ? saved[me.dataContainer][0] : saved[me.dataContainer];
+                        
+                        saved = ($.isPlainObject(saved)) ? me.convertRecords([saved])[0] : {};
+                        
+                        if(action === 'create' && $.inArray(rec, set.added) !== -1)
+                            set.added.splice($.inArray(rec, set.added), 1);
+                        
+                        if(modifiedAt !== -1)
+                            set.modified.splice(modifiedAt, 1);
+                        
+                        if(changedSince)
+                            set.modified.push({ record: rec, original: $.extend({}, sent, saved) });
+                        
+                        if(!me.recordsEqual($.extend({}, rec, saved), rec)){
+                            previous = $.extend({}, rec);
+                            $.extend(rec, saved);
+                            
+                            change = me.makeChange('update', [rec]);
+                            change.previous = [previous];
+                            me.fireDataChanged(change);
+                        }
+                    },
+    
+    /**
+    @return The sequence number of the next request.
+    Aborts the request in progress, if any. Its response is discarded even if the transport can't abort it, as every
+    response is checked against the latest sequence number.
+    */
+    abortRequest:   function(){
+                        var me = this;
+                        
+                        me.requestSeq = (me.requestSeq || 0) + 1;
+                        
+                        if(me.lastRequest && me.lastRequest.state() === 'pending')
+                            me.lastRequest.abort();
+                        
+                        return me.requestSeq;
+                    },
+    
+    /**
+    @param {object} [params] Params of a request. Defaults to the current params.
+    @return The key of the cached response for the url and params. Params are sorted so their order doesn't matter.
+    */
+    cacheKey:       function(params){
+                        var me = this,
+                            p = params || me.params;
+                        
+                        return (me.url || '') + '?' + JSON.stringify(Object.keys(p).sort().map(function(key){
+                            return [key, p[key]];
+                        }));
+                    },
+    
+    /**
+    @param {object|array} r A response
+    @return A deep copy of the response, so data kept in the cache isn't changed by processing the data.
+    */
+    copyResponse:   function(r){
+                        if($.isArray(r))            return $.extend(true, [], r);
+                        else if($.isPlainObject(r)) return $.extend(true, {}, r);
+                        else                        return r;
+                    },
+    
+    /**
+    @return The reader of the data object, made from the reader config. An object with the 'dataType' of the responses it
+    reads, and a read(response) function returning the records or an object containing the 'data' and 'total'.
+    */
+    getReader:      function(){
+                        var me = this,
+                            reader = me.reader,
+                            config = (typeof reader === 'string') ? {} : reader,
+                            type = (typeof reader === 'string') ? reader : reader.type;
+                        
+                        if(typeof reader === 'function')
+                            return { dataType: 'json', read: $.proxy(reader, me) };
+                        
+                        if(!Wui.Data.readers.hasOwnProperty(type))
+                            throw new Error('Wui.js - There is no reader named "' + type + '".');
+                        
+                        return {
+                            dataType:   config.dataType || Wui.Data.readers[type].dataType || 'json',
+                            read:       function(r){ return Wui.Data.readers[type].read.call(me, r, config); }
+                        };
+                    },
+    
+    /**
+    @param {object|array|string} r A response
+    @return An object containing the records ('data') read from the response by the reader, and the 'total', which is the
+    number of records unless the reader found one. A single record is made an array of one.
+    */
+    readResponse:   function(r){
+                        var read = this.getReader().read(r),
+                            data;
+                        
+                        read = ($.isArray(read) || !$.isPlainObject(read) || !read.hasOwnProperty('data')) ? { data: read } : read;
+                        data = (read.data === null || read.data === undefined) ? [] : read.data;
+                        data = ($.isArray(data)) ? data : [data];
+                        
+                        return {
+                            data:   data,
+                            total:  (read.total === null || read.total === undefined || isNaN(read.total)) ? data.length : Number(read.total)
+                        };
+                    },
+    
+    /**
+    @return The Wui.Cache of the data object, made from the cache config the first time it's needed.
+    */
+    getCache:       function(){
+                        var me = this;
+                        
+                        if(!me.hasOwnProperty('_cache')){
+                            me._cache = new Wui.Cache($.isPlainObject(me.cache) ? me.cache : {});
+                        }
+                        
+                        return me._cache;
+                    },
+    
+    /**
+    @return The Wui.Cache of the last responses received, by url and params. See serveLastGood.
+    */
+    getLastGood:    function(){
+                        var me = this;
+                        
+                        if(!me.hasOwnProperty('_lastGood')){
+                            me._lastGood = new Wui.Cache({ maxSize: 20, ttl: 0 });
+                        }
+                        
+                        return me._lastGood;
+                    },
+    
+    /**
+    @param {object} err An error passed to the failure hooks
+    @return True if the error is from a request that was aborted, rather than one that failed.
+    */
+    isAborted:      function(err){
+                        return !!err && err.statusText === 'abort';
+                    },
+    
+    /**
+    @return True if the browser is offline and the transport needs the network.
+    */
+    isOffline:      function(){
+                        return !!window.navigator && window.navigator.onLine === false && this.getTransport().needsUrl !== false;
+                    },
+    
+    /**
+    @param {object} config Settings for the request. See loadData().
+    @return A promise with an abort() method, settled once the request succeeds or the retries run out.
+    Reads through the transport, failing the request after the timeout and retrying failures with a wait that doubles
+    each time. The success and error callbacks of the config are called once, at the end.
+    */
+    readWithRetry:  function(config){
+                        var me = this,
+                            dfd = $.Deferred(),
+                            method = String(config.type || config.method || 'GET').toUpperCase(),
+                            retries = (method === 'GET') ? me.retries : 0,
+                            attempt = 0,
+                            finished = false,
+                            request,
+                            retryTimer,
+                            timeoutTimer;
+                        
+                        dfd.done(config.success).fail(config.error);
+                        
+                        (function send(){
+                            var settled = false,
+                                settle = function(err, args){
+                                    if(settled || finished)
+                                        return;
+                                    
+                                    settled = true;
+                                    clearTimeout(timeoutTimer);
+                                    
+                                    if(args){
+                                        finished = true;
+                                        dfd.resolve.apply(dfd, args);
+                                    }
+                                    else if(attempt < retries && me.shouldRetry(err)){
+                                        retryTimer = setTimeout(send, me.retryDelay * Math.pow(2, attempt++));
+                                    }
+                                    else {
+                                        finished = true;
+                                        dfd.reject(err);
+                                    }
+                                },
+                                timedOut = false;
+                            
+                            request = me.getTransport().read($.extend({}, config, {
+                                success:    function(){ settle(null, arguments); },
+                                error:      function(err){ settle(timedOut ? Wui.Transport.error(0, 'timeout') : err); }
+                            }));
+                            
+                            if(me.timeout > 0){
+                                timeoutTimer = setTimeout(function(){
+                                    timedOut = true;
+                                    request.abort();
+                                    
+                                    // In case the transport doesn't report the abort
+                                    settle(Wui.Transport.error(0, 'timeout'));
+                                }, me.timeout);
+                            }
+                        })();
+                        
+                        return dfd.promise({
+                            abort: function(){
+                                if(finished)
+                                    return;
+                                
+                                finished = true;
+                                clearTimeout(retryTimer);
+                                clearTimeout(timeoutTimer);
+                                request.abort();
+                                dfd.reject(Wui.Transport.error(0, 'abort'));
+                            }
+                        });
+                    },
+    
+    /**
+    @return A promise like that of load(), or of loadNextPage() if it was a page after the first that failed.
+    Loads the data again with the current params after a load has failed. See loadError.
+    */
+    retry:          function(){
+                        var me = this;
+                        
+                        return (me.failedPage > 1) ? me.loadNextPage() : me.load();
+                    },
+    
+    /**
+    @param {object} err The error of a failed load
+    @return True if the load should be tried again: when it timed out, couldn't reach the server (status 0), or the
+    server responded with a 408, 429 or 5xx status. Aborted loads and loads failing while offline aren't retried.
+    */
+    shouldRetry:    function(err){
+                        if(!err || this.isAborted(err) || err.statusText === 'offline')
+                            return false;
+                        
+                        return err.status === 0 || err.status === 408 || err.status === 429 || err.status >= 500;
+                    },
+    
+    /**
+    @return The persist config as an object with its defaults, or null if the data isn't persisted.
+    */
+    getPersistConfig:function(){
+                        var me = this,
+                            config;
+                        
+                        if(!me.persist)
+                            return null;
+                        
+                        config = $.extend({ storage: 'localStorage', key: me.name, ttl: 0, version: null, revalidate: true }, $.isPlainObject(me.persist) ? me.persist : {});
+                        
+                        if(!config.key)
+                            throw new Error('Wui.js - A data object needs a name, or a persist key, to persist its data.');
+                        
+                        if(!Wui.Data.snapshotStores.hasOwnProperty(config.storage))
+                            throw new Error('Wui.js - There is no snapshot store named "' + config.storage + '".');
+                        
+                        config.key = 'wui-data:' + config.key;
+                        config.store = Wui.Data.snapshotStores[config.storage];
+                        
+                        return config;
+                    },
+    
+    /**
+    @return A promise resolved with true if the data was set from a snapshot, or false if there was no usable snapshot.
+    Sets the data from the snapshot kept by the persist config, unless data has been loaded already. Snapshots that
+    have expired or have another version are removed. With revalidate, the data is then loaded again unless a load is in
+    progress. Called on construction for data objects with the persist config.
+    */
+    hydrate:        function(){
+                        var me = this,
+                            config = me.getPersistConfig();
+                        
+                        me.hydration = config.store.get(config.key).then(function(snapshot){
+                            var usable = $.isPlainObject(snapshot) && snapshot.version === config.version &&
+                                    (!config.ttl || $.now() - snapshot.time <= config.ttl);
+                            
+                            if(snapshot !== undefined && !usable)
+                                config.store.remove(config.key);
+                            
+                            // A load that finished first has newer data than the snapshot
+                            if(!usable || me.loadedAt)
+                                return false;
+                            
+                            me.snapshotJson = JSON.stringify(snapshot.data);
+                            me.setData(snapshot.data, snapshot.total);
+                            
+                            if(config.revalidate && me.isRemote() && !(me.lastRequest && me.lastRequest.state() === 'pending'))
+                                me.loadData();
+                            
+                            return true;
+                        }, function(){
+                            return $.Deferred().resolve(false);
+                        });
+                        
+                        return me.hydration;
+                    },
+    
+    /**
+    @return Whether the response being set is kept as the snapshot of the persist config. Last good data served for a
+    failed load isn't. Meant to be overridden for responses that don't hold all of the data, like those of a search.
+    */
+    savesSnapshot:  function(){
+                        return !!this.persist && !this.stale;
+                    },
+    
+    /**
+    @param {array} data Records as they were received, before processData()
+    @param {number} total The total number of records
+    @param {string} [json] The records as JSON, if they've been converted already
+    @return A promise resolved once the snapshot is kept.
+    Keeps the data as the snapshot of the persist config, to be set by hydrate() the next time the page loads.
+    */
+    saveSnapshot:   function(data, total, json){
+                        var me = this,
+                            config = me.getPersistConfig();
+                        
+                        me.snapshotJson = (json !== undefined) ? json : JSON.stringify(data);
+                        
+                        return config.store.set(config.key, {
+                            version:    config.version,
+                            time:       $.now(),
+                            total:      total,
+                            data:       data
+                        });
+                    },
+    
+    /**
+    @return A promise resolved once the snapshot is removed.
+    Removes the snapshot kept by the persist config.
+    */
+    clearSnapshot:  function(){
+                        var config = this.getPersistConfig();
+                        
+                        this.snapshotJson = undefined;
+                        
+                        return config.store.remove(config.key);
+                    },
+    
+    /**
+    @return The Wui.Transport made from the transport config. It is made again if the config changes.
+    */
+    getTransport:   function(){
+                        var me = this;
+                        
+                        if(!me._transport || me._transportDef !== me.transport){
+                            me._transport = Wui.Transport.create(me.transport);
+                            me._transportDef = me.transport;
+                        }
+                        
+                        return me._transport;
+                    },
+    
+    /**
+    @param {object} [params] Params of a request, applied over the current params as in setParams(). If omitted,
+    every cached response is removed.
+    Removes cached responses so they are requested again.
+    */
+    invalidateCache:function(params){
+                        var me = this;
+                        
+                        if(params && typeof params === 'object')
+                            me.getCache().remove(me.cacheKey($.extend({}, me.params, params)));
+                        else
+                            me.getCache().clear();
+                    },
+    
+    /**
+    @return True if the data object has a remote source to load from: a url, or a transport that doesn't need one.
+    */
+    isRemote:       function(){
+                        return this.url !== null || this.getTransport().needsUrl === false;
+                    },
+    
+    /**
+    Performs a remote call through the transport and aborts previous requests
+    Between loadData(), success() and setData() fires several event hooks in this order:
+    
+    1. setParams()
+    2. beforeLoad()
+    3. onSuccess()
+    4. beforeSet()
+    5. processData()
+    6. dataChanged()
+    -  'datachanged' event is fired
+    7. afterSet()
+    
+    Upon failure will fire onFailure()
+    */
+    loadData:       function(){
+                        var me = this,
+                            page = me.nextPage || 1,
+                            config = $.extend({
+                                url:        me.url,
+                                data:       me.params,
+                                dataType:   (me.reader) ? me.getReader().dataType : 'json',
+                                success:    function(r){
+                                                me.page = page;
+                                                me.loadedAt = $.now();
+                                                me.loadError = null;
+                                                me.stale = false;
+                                                
+                                                if(me.serveLastGood)
+                                                    me.getLastGood().set(cacheKey, me.copyResponse(r));
+                                                
+                                                me[(page > 1) ? 'pageSuccess' : 'success'].apply(me,arguments);
+                                                me.emit('loadsuccess', r);
+                                            },
+                                error:      function(err){
+                                                var lastGood = (me.serveLastGood) ? me.getLastGood().get(cacheKey) : undefined;
+                                                
+                                                me.stale = (lastGood !== undefined && !me.isAborted(err));
+                                                
+                                                if(me.stale){
+                                                    me.snapshotJson = undefined;
+                                                    me[(page > 1) ? 'pageSuccess' : 'success'](me.copyResponse(lastGood));
+                                                }
+                                                
+                                                me.loadError = (me.isAborted(err)) ? me.loadError : err;
+                                                me.failedPage = page;
+                                                me.failure.apply(me,arguments);
+                                                me.emit('loadfailure', err);
+                                            },
+                            },me.ajaxConfig);
+                        
+                        me.nextPage = undefined;
+                        
+                        // Work in additional parameters that will change or stop the request
+                        var paramsOkay = me.setParams.apply(me,arguments),
+                            beforeLoad = me.beforeLoad.apply(me,arguments),
+                            cacheKey,
+                            cached,
+                            seq;
+
+                        // Send the sorters to the server
+                        if(me.sortsRemotely()){
+                            if(me.sorters && me.sorters.length)
+                                $.extend(me.params, me.sortParams(me.sorters));
+                            else
+                                delete me.params[me.sortParam];
+                        }
+                        
+                        // Request a page of the data
+                        if(me.pageSize > 0){
+                            if(me.pageParam)    me.params[me.pageParam] = page;
+                            if(me.startParam)   me.params[me.startParam] = (page - 1) * me.pageSize;
+                            if(me.limitParam)   me.params[me.limitParam] = me.pageSize;
+                        }
+                        
+                        // Perform request
+                        if(paramsOkay !== false && beforeLoad !== false){
+                            // abort the last request in case it takes longer to come back than the one we're going to call
+                            seq = me.abortRequest();
+                            me.emit('loadstart', me.params);
+                            
+                            // Responses to requests that have since been replaced are discarded
+                            $.each(['success', 'error'], function(i, callback){
+                                var fn = config[callback];
+                                
+                                config[callback] = function(){
+                                    if(seq === me.requestSeq)
+                                        return fn.apply(this,arguments);
+                                };
+                            });
+                            
+                            cacheKey = me.cacheKey();
+                            
+                            // Answer from the cache, or cache the response
+                            if(me.cache){
+                                cached = me.getCache().get(cacheKey);
+                                
+                                if(cached !== undefined){
+                                    // Copies, so neither the data nor the caller can change the cached response
+                                    me.lastRequest = $.Deferred().resolve(me.copyResponse(cached)).promise({ abort: $.noop });
+                                    config.success(me.copyResponse(cached));
+                                    
+                                    return me.lastRequest;
+                                }
+                                
+                                config.success = (function(success){
+                                    return function(r){
+                                        me.getCache().set(cacheKey, me.copyResponse(r));
+                                        return success.apply(this,arguments);
+                                    };
+                                })(config.success);
+                            }
+                            
+                            // Without a network the request would only fail, so fail now and try again once back online
+                            if(me.isOffline()){
+                                me.lastRequest = $.Deferred().reject(Wui.Transport.error(0, 'offline')).promise({ abort: $.noop });
+                                config.error(Wui.Transport.error(0, 'offline'));
+                                
+                                me.onlineNs = me.onlineNs || Wui.id('wui-data');
+                                $(window).off('online.' + me.onlineNs).one('online.' + me.onlineNs, function(){
+                                    if(me.loadError && me.loadError.statusText === 'offline')
+                                        me.retry();
+                                });
+                                
+                                return me.lastRequest;
+                            }
+                            
+                            me.lastRequest = me.readWithRetry(config);
+                            
+                            return me.lastRequest;
+                        }
+                        
+                        // If there was no request made, return a rejected deferred to keep return types consistent
+                        return $.Deferred().reject();
+                    },
+    
+    /**
+    @return A promise resolved with the data and the data object once the next page has been appended to the data, or
+    rejected if there are no more pages. A page already being requested is not requested again.
+    Requests the page after the last one loaded, and appends it to the data. See pageSize.
+    */
+    loadNextPage:   function(){
+                        var me = this,
+                            dfd = $.Deferred();
+                        
+                        if(me.pageRequest && me.pageRequest.state() === 'pending')
+                            return me.pageRequest;
+                        
+                        if(!me.hasMorePages())
+                            return dfd.reject().promise();
+                        
+                        me.nextPage = (me.page || 1) + 1;
+                        me.loadData().then(
+                            function(){ dfd.resolve(me.data, me); },
+                            function(err){ dfd.reject(err); }
+                        );
+                        
+                        me.pageRequest = dfd.promise();
+                        
+                        return me.pageRequest;
+                    },
+    
+    /**
+    @return True if the data is paged and there are records that haven't been loaded.
+    */
+    hasMorePages:   function(){
+                        return this.pageSize > 0 && this.isRemote() && this.data.length < this.total;
+                    },
+    
+    /**
+    @param {object} [params] Params to be set, as with loadData()
+    @return A promise resolved with the data and the data object once the data has been set, or rejected with the error
+    of the request. Local data objects resolve with their current data.
+    Same as loadData() but resolves after setData() rather than with the raw response, eg. load().then(...).
+    */
+    load:           function(){
+                        var me = this,
+                            dfd = $.Deferred();
+                        
+                        if(!me.isRemote()){
+                            return dfd.resolve(me.data, me).promise();
+                        }
+                        
+                        me.loadData.apply(me,arguments).then(
+                            function(){ dfd.resolve(me.data, me); },
+                            function(err){ dfd.reject(err); }
+                        );
+                        
+                        return dfd.promise();
+                    },
+    /**
+    @param {object} params    Params to be set
+    @eventhook Can be used as is or overridden to run when parameters change.
+    Can be used as is to set parameters before an AJAX load, or it can also be used as an event hook and overridden.
+    This method is called from loadData with its arguments passed on, so arguments passed to load data will be sent here. 
+    See loadData(). If this function returns false, load data will not make a remote call.
+    */
+    setParams:      function(params){
+                        if(params && typeof params === 'object')
+                            $.extend(this.params,params);
+                    },
+    
+    /**
+    @param {array} d Data to be set on the ojbect
+    @param {number} [t] Total number of records in the data set. If not specified setData will count the data set.
+    
+    Can be called to set data locally or called by loadData(). Fires a number of events and event hooks. See loadData().
+    */
+    setData:        function(d,t){
+                        var me = this,
+                            previous = me.data,
+                            pending = (me.isDirty()) ? me.getChangeSet() : null,
+                            discarded = (pending && !me.identity) ? me.getChanges() : null;
+                        
+                        // Event hook for before the data is set
+                        me.beforeSet(d);
+                        
+                        // Set the data
+                        me.data = me.processData(d);
+                        me.total = ($.isNumeric(t)) ? t : (me.data) ? me.data.length : 0;
+                        
+                        // Changes that weren't saved are applied to the new data, when they can be matched to it
+                        me.commitChanges();
+                        
+                        if(pending && me.identity)
+                            me.reapplyChanges(pending);
+                        
+                        if(!me.sortsRemotely())
+                            me.sortData();
+                        
+                        me.fireDataChanged(me.diffData(previous, me.data));
+                        
+                        if(discarded)
+                            me.emit('changesdiscarded', discarded);
+                    },
+    
+    /**
+    @param {array} previous The data being replaced
+    @param {array} data The new data
+    @return An array of the changes between the data, or undefined when the data can't be compared because the object
+    has no identity or there was no previous data. Records with the same identity are updated if any of their values
+    differ.
+    */
+    diffData:       function(previous, data){
+                        var me = this,
+                            oldIndex = {},
+                            matched = {},
+                            removed = { type: 'remove', records: [], indices: [] },
+                            added = { type: 'add', records: [], indices: [] },
+                            updated = { type: 'update', records: [], indices: [], previous: [] },
+                            keyOf = function(rec){
+                                var id = (rec !== null && typeof rec === 'object') ? rec[me.identity] : undefined;
+                                return (id !== null && id !== undefined) ? me.identityKey(id) : undefined;
+                            };
+                        
+                        if(!me.identity || !$.isArray(previous) || !previous.length || !$.isArray(data))
+                            return undefined;
+                        
+                        previous.forEach(function(rec, index){
+                            var key = keyOf(rec);
+                            
+                            if(key !== undefined && !oldIndex.hasOwnProperty(key))
+                                oldIndex[key] = index;
+                        });
+                        
+                        data.forEach(function(rec, index){
+                            var key = keyOf(rec),
+                                old;
+                            
+                            if(key !== undefined && oldIndex.hasOwnProperty(key) && !matched.hasOwnProperty(key)){
+                                matched[key] = true;
+                                old = previous[oldIndex[key]];
+                                
+                                if(!me.recordsEqual(old, rec)){
+                                    updated.records.push(rec);
+                                    updated.indices.push(index);
+                                    updated.previous.push(old);
+                                }
+                            }
+                            else {
+                                added.records.push(rec);
+                                added.indices.push(index);
+                            }
+                        });
+                        
+                        previous.forEach(function(rec, index){
+                            var key = keyOf(rec);
+                            
+                            if(key === undefined || !matched.hasOwnProperty(key) || oldIndex[key] !== index){
+                                removed.records.push(rec);
+                                removed.indices.push(index);
+                            }
+                        });
+                        
+                        return [removed, added, updated].filter(function(change){
+                            return change.records.length > 0;
+                        });
+                    },
+    
+    /**
+    @param {object} a A record
+    @param {object} b Another record
+    @return Whether the records have the same keys with the same values. Values are compared with valuesEqual().
+    */
+    recordsEqual:   function(a, b){
+                        var me = this,
+                            keys = Object.keys(a);
+                        
+                        return keys.length === Object.keys(b).length && keys.every(function(key){
+                            return b.hasOwnProperty(key) && me.valuesEqual(a[key], b[key]);
+                        });
+                    },
+    
+    /**
+    @param {any} a A value of a record
+    @param {any} b Another value
+    @return Whether the values are the same. Values are compared with ===, except Dates, which are the same when they
+    hold the same time, as the date field type makes a new Date each time it converts a value.
+    */
+    valuesEqual:    function(a, b){
+                        return a === b || (a instanceof Date && b instanceof Date && a.getTime() === b.getTime());
+                    },
+    
+    /**
+    @param {string} type 'add', 'remove', 'update' or 'reset'
+    @param {array} records The affected records
+    @param {array} [indices] The indices of the records. Defaults to their positions in the data.
+    @return A change. See the changes above.
+    */
+    makeChange:     function(type, records, indices){
+                        var me = this;
+                        
+                        return {
+                            type:       type,
+                            records:    records,
+                            indices:    indices || records.map(function(rec){ return $.inArray(rec, me.data); })
+                        };
+                    },
+
+    /**
+    @param {object|array} [changes] A change or an array of changes made to the data. Omit when the data is replaced.
+    Fires an event for each change, then 'datachanged'. Changes are handed to dataPatched() unless one is a reset, and
+    dataChanged() is called when they aren't handled.
+    */
+    fireDataChanged:function(changes){
+                        var me = this, dn = (me.name || 'w121-data');
+                        
+                        changes = (changes === undefined) ? [me.makeChange('reset', me.data || [], [])] : [].concat(changes);
+                        
+                        me.indexChanges(changes);
+                        me.applyFilters();
+                        
+                        if(changes.some(function(change){ return change.type === 'reset'; }) || me.dataPatched(changes) !== true)
+                            me.dataChanged(me.data);
+                        
+                        changes.forEach(function(change){
+                            me.emit('data' + change.type, change);
+                            
+                            if(me.broadcast)
+                                $(document).trigger($.Event('data' + change.type + '.' + dn),[dn, me, change])
+                                    .trigger($.Event('data' + change.type),[dn, me, change]);
+                        });
+                        
+                        me.emit('datachanged', changes);
+                        
+                        if(me.broadcast)
+                            $(document).trigger($.Event('datachanged.' + dn),[dn, me, changes])
+                                .trigger($.Event('datachanged'),[dn, me, changes]);
+                        
+                        me.afterSet(me.data);
+                    },
+    
+    /**
+    @param {string} name The name of the event
+    @param {any} [payload] The change, or array of changes, of the event
+    @return The data object
+    Calls the listeners of the event added with on() and once(). An error thrown by a listener doesn't keep the other
+    listeners from being called, it is handed to listenerError().
+    */
+    emit:           function(name, payload){
+                        var me = this;
+                        
+                        // Copied so that listeners added or removed by a listener don't change who is called
+                        (me.hasOwnProperty('listeners') ? me.listeners.slice() : []).forEach(function(listener){
+                            if(!listener.pattern.test(name))
+                                return;
+                            
+                            if(listener.once)
+                                me.listeners = me.listeners.filter(function(other){ return other !== listener; });
+                            
+                            try {
+                                listener.fn.call(listener.context || me, payload, name);
+                            }
+                            catch(e){
+                                me.listenerError(e, name);
+                            }
+                        });
+                        
+                        return me;
+                    },
+    
+    /**
+    @param {error} err The error thrown by a listener
+    @param {string} name The name of the event the listener was called for
+    @eventhook Runs when a listener throws an error. Meant to be overridden, otherwise the error is thrown outside of
+    the event so it still reaches the console.
+    */
+    listenerError:  function(err){
+                        setTimeout(function(){ throw err; }, 0);
+                    },
+    
+    /**
+    @param {string} [name] The name the listener was added with. Omit to remove every listener.
+    @param {function} [fn] The listener. Omit to remove every listener of the name.
+    @return The data object
+    Removes listeners added with on() or once().
+    */
+    off:            function(name, fn){
+                        var me = this;
+                        
+                        if(me.hasOwnProperty('listeners'))
+                            me.listeners = me.listeners.filter(function(listener){
+                                return (name !== undefined && listener.name !== name) || (fn !== undefined && listener.fn !== fn);
+                            });
+                        
+                        return me;
+                    },
+    
+    /**
+    @param {string} name The name of an event, such as 'datachanged' or 'dataadd'. An asterisk matches any characters, so
+    'data*' or '*' listen to several events.
+    @param {function} fn The listener, called with the payload of the event (a change, or the array of changes for
+    'datachanged') and the name of the event.
+    @param {object} [context] The value of 'this' in the listener. Defaults to the data object.
+    @param {boolean} [once] Whether to remove the listener after it is called once. See once().
+    @return The data object
+    Listens to the events of this data object alone.
+    */
+    on:             function(name, fn, context, once){
+                        var me = this;
+                        
+                        // Each object keeps its own listeners rather than sharing them through a prototype
+                        if(!me.hasOwnProperty('listeners'))
+                            me.listeners = [];
+                        
+                        me.listeners.push({
+                            name:       name,
+                            pattern:    new RegExp('^' + String(name).split('*').map(function(part){
+                                            return part.replace(/[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g, '\\$&');
+                                        }).join('.*') + '$'),
+                            fn:         fn,
+                            context:    context,
+                            once:       once === true
+                        });
+                        
+                        return me;
+                    },
+    
+    /**
+    @param {string} name The name of an event. See on().
+    @param {function} fn The listener
+    @param {object} [context] The value of 'this' in the listener
+    @return The data object
+    Same as on() but the listener is removed after it is called once.
+    */
+    once:           function(name, fn, context){
+                        return this.on(name, fn, context, true);
+                    },
+    
+    /** @eventhook Event hook that will allow for the setting of the params config before loadData performs a remote call. Meant to be overridden. See loadData().
+        If this function returns false, load data will not make a remote call. */
+    beforeLoad:     function(){},
+    
+    /**
+    @param    {array}    data    The value of the data cofig of the current object
+    @eventhook  Fires after data is set. Meant to be overridden. See loadData().
+    */
+    afterSet:       function(){},
+    
+    /**
+    @param {array} d Data to be set on the ojbect
+    @eventhook  Fires after the remote call but before data is set on the object. Meant to be overridden. See loadData().
+    */
+    beforeSet:      function(){},
+    
+    /**
+    @param {object or array} r Response from the server in JSON format
+    Runs when loadData() successfully completes a remote call.
+    Gets data straight or gets it out of the dataContainer and totalContainer.
+
+    Calls setData() passing the response and total.
+    */
+    success:        function(r){
+                        var me = this,
+                            unwrapped = Wui.unwrapData.call(me,r),
+                            json = (me.savesSnapshot()) ? JSON.stringify(unwrapped.data) : undefined;
+                        
+                        me.onSuccess(r);
+                        
+                        // Data set from a snapshot is only set again if it changed
+                        if(json === undefined || json !== me.snapshotJson)
+                            me.setData(unwrapped.data, unwrapped.total);
+                        
+                        // Data that isn't kept, such as search results, no longer matches the snapshot
+                        if(json !== undefined)
+                            me.saveSnapshot(unwrapped.data, unwrapped.total, json);
+                        else
+                            me.snapshotJson = undefined;
+                    },
+    
+    /**
+    @param {object or array} r Response from the server in JSON format
+    Runs when loadData() successfully loads a page after the first. Same as success() but appends the records to the
+    data rather than replacing it.
+    */
+    pageSuccess:    function(r){
+                        var me = this,
+                            unwrapped = Wui.unwrapData.call(me,r);
+                        
+                        me.onSuccess(r);
+                        me.appendData(unwrapped.data, unwrapped.total);
+                    },
+    
+    /**
+    @param {array} d Data to be added to the end of the data
+    @param {number} [t] Total number of records in the data set.
+    Same as setData() but appends the data. While the 'datachanged' event fires, the appending member is true.
+    */
+    appendData:     function(d,t){
+                        var me = this,
+                            added;
+                        
+                        me.beforeSet(d);
+                        added = me.processData(d) || [];
+                        Array.prototype.push.apply(me.data || (me.data = []), added);
+                        me.total = Math.max(($.isNumeric(t)) ? t : 0, me.data.length);
+                        
+                        if(!me.sortsRemotely())
+                            me.sortData();
+                        
+                        me.appending = true;
+                        me.fireDataChanged(me.makeChange('add', added));
+                        me.appending = false;
+                    },
+    
+    /** @eventhook AllowS for the setting of the params config before loadData performs a remote call. Meant to be overridden. See loadData(). */
+    onSuccess:      function(){},
+    
+    /** @eventhook Allows for the setting of the params config before loadData performs a remote call. Meant to be overridden. See loadData(). */
+    onFailure:      function(){},
+    
+    /** Runs when loadData() fails, after any retries. The error is kept as the loadError member until a load succeeds. */
+    failure:        function(e){ this.onFailure(e); },
+    
+    /** 
+    @param {array} Data to be processed.
+    Allows for pre-processing of the data before it is taken into the data object. Meant to be overridden, otherwise converts the records by the
+    fields config, or acts as a pass-through when there are no fields. See loadData().*/
+    processData:    function(response){ return this.convertRecords(response); },
+    
+    /**
+    @param {array} records Records as they were received
+    @return New records with their fields converted, or the records as they were when there are no fields.
+    */
+    convertRecords: function(records){
+                        var me = this;
+                        
+                        if(!$.isArray(me.fields) || !me.fields.length || !$.isArray(records))
+                            return records;
+                        
+                        return records.map(function(rec){ return me.convertRecord(rec); });
+                    },
+    
+    /**
+    @param {object} rec A record as it was received
+    @param {boolean} [partial] Whether the record only holds some of the fields, such as the changes of updateRecord(), so
+    that the fields it doesn't have are left out rather than defaulted.
+    @return A copy of the record with the values of its fields found by their mapping, converted, and defaulted. See the
+    fields config. The record itself when there are no fields.
+    */
+    convertRecord:  function(rec, partial){
+                        var me = this,
+                            converted;
+                        
+                        if(rec === null || typeof rec !== 'object' || !$.isArray(me.fields) || !me.fields.length)
+                            return rec;
+                        
+                        converted = $.extend({}, rec);
+                        
+                        me.fields.forEach(function(field){
+                            var def = (typeof field === 'string') ? { name: field } : field,
+                                value = me.valueAt(rec, def.mapping || def.name),
+                                convert = def.convert || Wui.Data.fieldTypes[def.type || 'auto'];
+                            
+                            if(typeof convert !== 'function')
+                                throw new Error('Wui.js - There is no field type named "' + def.type + '".');
+                            
+                            if(partial && value === undefined && !rec.hasOwnProperty(def.name))
+                                return;
+                            
+                            // Records that were already converted have the value under the name of the field
+                            if(value === undefined && def.mapping && rec.hasOwnProperty(def.name))
+                                value = rec[def.name];
+                            else if(value !== null && value !== undefined)
+                                value = convert.call(me, value, rec);
+                            
+                            converted[def.name] = (value === null || value === undefined) ?
+                                (def.hasOwnProperty('defaultValue') ? def.defaultValue : null) : value;
+                        });
+                        
+                        return converted;
+                    },
+    
+    /**
+    @param {object} obj An object
+    @param {string} path Keys separated by dots, eg. 'address.city' or 'phones.0.number'
+    @return The value at the path in the object, or undefined if any part of the path doesn't exist.
+    */
+    valueAt:        function(obj, path){
+                        var keys = String(path).split('.');
+                        
+                        // A key containing dots is taken as is
+                        if(obj !== null && obj !== undefined && Object.prototype.hasOwnProperty.call(obj, path))
+                            return obj[path];
+                        
+                        for(var i = 0; i < keys.length; i++){
+                            if(obj === null || obj === undefined || typeof obj !== 'object')
+                                return undefined;
+                            
+                            obj = obj[keys[i]];
+                        }
+                        
+                        return obj;
+                    },
+
+    /**
+    @param {object} [obj,...] One or more objects to be added to the end of the parent object's items array
+    @return The new length of the array 
+    Same as Array.push() but acting on the data array of the object. Records are converted by the fields config, which adds
+    converted copies of them. Fires 'dataadd'.
+    */
+    push:           function(){
+                        var me = this,
+                            start = (me.data || (me.data = [])).length,
+                            added = me.convertRecords(Array.prototype.slice.call(arguments)),
+                            retVal = Array.prototype.push.apply(me.data, added),
+                            change = me.makeChange('add', added, added.map(function(rec, i){ return start + i; }));
+
+                        me.total = me.data.length;
+                        me.trackChanges([change]);
+                        me.fireDataChanged(change);
+                        return retVal;
+                    },
+
+    /**
+    @param  {number}    idx         Position to start making changes in the items array.
+    @param  {number}    howMany     Number of elements to remove.
+    @param  {object}    [obj,...]   One or more objects to be added to the array at position idx
+    @return An array of the removed objects, or an empty array. 
+    Same as Array.splice() but acting on the data array of the object. Records added are converted as in push(). Fires
+    'dataremove' and 'dataadd' as needed.
+    */
+    splice:         function(){
+                        var me = this,
+                            data = me.data || (me.data = []),
+                            start = parseInt(arguments[0], 10) || 0,
+                            added = me.convertRecords(Array.prototype.slice.call(arguments, 2)),
+                            changes = [],
+                            retVal;
+                        
+                        // Where Array.splice() starts, for the indices of the changes
+                        start = (start < 0) ? Math.max(data.length + start, 0) : Math.min(start, data.length);
+                        retVal = Array.prototype.splice.apply(data, Array.prototype.slice.call(arguments, 0, 2).concat(added));
+                        me.total = data.length;
+                        
+                        if(retVal.length)
+                            changes.push(me.makeChange('remove', retVal, retVal.map(function(rec, i){ return start + i; })));
+                        
+                        if(added.length)
+                            changes.push(me.makeChange('add', added, added.map(function(rec, i){ return start + i; })));
+                        
+                        me.trackChanges(changes);
+                        me.fireDataChanged(changes);
+                        return retVal;
+                    },
+    
+    /**
+    @param {string|function|object|array} [sorters] The name of a field, a function comparing two records, a sorter
+    object, or an array of any of them to sort by several keys. Omit to sort again by the current sorters.
+    @param {string} [direction] 'asc' (default) or 'desc' when sorting by the name of a field.
+    @return A promise resolved with the data and the data object once the data is sorted.
+    Sorts the data and makes the sorters the sorters config, so that they're applied whenever the data is set. Fires
+    'datachanged'. With remoteSort the data is loaded again with the sorters sent in the sortParam.
+    eg. sort('name'), sort('age', 'desc'), sort([{field: 'last', direction: 'asc'}, 'first'])
+    */
+    sort:           function(sorters, direction){
+                        var me = this;
+                        
+                        if(typeof sorters === 'string')
+                            sorters = [{ field: sorters, direction: direction || 'asc' }];
+                        
+                        if(sorters !== undefined)
+                            me.sorters = [].concat(sorters);
+                        
+                        if(me.sortsRemotely())
+                            return me.load();
+                        
+                        me.sortData();
+                        me.fireDataChanged();
+                        
+                        return $.Deferred().resolve(me.data, me).promise();
+                    },
+    
+    /**
+    Sorts the data in place by the sorters. Records that compare as equal keep their order. Doesn't fire events.
+    */
+    sortData:       function(){
+                        var me = this,
+                            collator = (window.Intl && window.Intl.Collator) ? new window.Intl.Collator(me.locale || undefined, { numeric: true }) : null,
+                            comparators = (me.sorters || []).map(function(sorter){
+                                var field = (typeof sorter === 'string') ? sorter : sorter.field,
+                                    order = (sorter.direction && String(sorter.direction).toLowerCase() === 'desc') ? -1 : 1;
+                                
+                                if(typeof sorter === 'function')
+                                    return sorter;
+                                
+                                return function(a, b){ return me.compareValues(a[field], b[field], collator, order); };
+                            });
+                        
+                        if(!comparators.length || !$.isArray(me.data))
+                            return;
+                        
+                        me.data = me.data.map(function(rec, index){
+                            return { rec: rec, index: index };
+                        }).sort(function(a, b){
+                            var result = 0;
+                            
+                            for(var i = 0; i < comparators.length && result === 0; i++)
+                                result = comparators[i](a.rec, b.rec);
+                            
+                            return result || (a.index - b.index);
+                        }).map(function(wrapped){
+                            return wrapped.rec;
+                        });
+                    },
+    
+    /**
+    @param {any} a A value
+    @param {any} b Another value
+    @param {object} [collator] An Intl.Collator for comparing strings. Without one, strings are compared with localeCompare().
+    @param {number} [order] 1 to sort ascending (default), or -1 to sort descending.
+    @return A negative number if a comes first, a positive number if b comes first, or zero.
+    Compares two values for sorting. Numbers and dates are compared by value, and empty values come last in either order.
+    */
+    compareValues:  function(a, b, collator, order){
+                        var aEmpty = (a === null || a === undefined || a === ''),
+                            bEmpty = (b === null || b === undefined || b === '');
+                        
+                        order = order || 1;
+                        
+                        if(aEmpty || bEmpty)
+                            return (aEmpty && bEmpty) ? 0 : (aEmpty ? 1 : -1);
+                        
+                        if(typeof a === 'number' && typeof b === 'number' || a instanceof Date && b instanceof Date)
+                            return order * (a - b);
+                        
+                        return order * ((collator) ? collator.compare(String(a), String(b)) : String(a).localeCompare(String(b)));
+                    },
+    
+    /**
+    @return True if sorting is sent to the server rather than done locally. See remoteSort.
+    */
+    sortsRemotely:  function(){
+                        return this.remoteSort === true && this.isRemote();
+                    },
+    
+    /**
+    @param {array} sorters The sorters of the data object
+    @return An object of the params carrying the sorters to the server. By default the sortParam carrying 'field:direction'
+    pairs separated by commas. Meant to be overridden to suit the server. Sorters that are functions can't be sent.
+    */
+    sortParams:     function(sorters){
+                        var params = {};
+                        
+                        params[this.sortParam] = sorters.filter(function(sorter){
+                            return typeof sorter !== 'function';
+                        }).map(function(sorter){
+                            return (typeof sorter === 'string') ? sorter + ':asc' : sorter.field + ':' + (sorter.direction || 'asc').toLowerCase();
+                        }).join(',');
+                        
+                        return params;
+                    },
+    
+    /**
+    @return A promise resolved with the data and the data object once there are no requests in progress. A request
+    aborted for a newer one is waited out through the newer request. Rejected with the error of the last request when
+    it failed, unless the last good response was served in its place (see serveLastGood).
+    */
+    whenReady:      function(){
+                        var me = this,
+                            dfd = $.Deferred();
+                        
+                        (function wait(){
+                            if(me.lastRequest && me.lastRequest.state() === 'pending'){
+                                // The timeout lets loadData() replace an aborted request before checking again
+                                me.lastRequest.always(function(){ setTimeout(wait, 0); });
+                            }
+                            else if(me.lastRequest && me.lastRequest.state() === 'rejected' && !me.stale){
+                                me.lastRequest.fail(function(err){
+                                    if(me.isAborted(err))
+                                        dfd.resolve(me.data, me);
+                                    else
+                                        dfd.reject(err);
+                                });
+                            }
+                            else {
+                                dfd.resolve(me.data, me);
+                            }
+                        })();
+                        
+                        return dfd.promise();
+                    }
+};
+
+
+/** Converters for the types of the fields of Wui.Data, by type. Each is passed a value that isn't null or undefined,
+and returns the converted value, or null if the value can't be converted. Add to it for custom types. */
+Wui.Data.fieldTypes = {
+    /** Leaves the value as it is */
+    auto:       function(value){ return value; },
+    
+    /** 'true', 'yes', 'on' and '1' (in any case) and non-zero numbers are true. Other strings and zero are false. */
+    'boolean':  function(value){
+                    if(typeof value === 'string')
+                        return $.inArray($.trim(value).toLowerCase(), ['true', 'yes', 'on', '1']) !== -1;
+                    
+                    return (typeof value === 'number') ? value !== 0 : value === true;
+                },
+    
+    /** Dates are kept, numbers are taken as milliseconds since the epoch, and strings are parsed by the browser. */
+    date:       function(value){
+                    var date = (value instanceof Date) ? value : new Date(value);
+                    
+                    return isNaN(date.getTime()) ? null : date;
+                },
+    
+    /** Strings are parsed as numbers after removing thousands separators. Empty strings and non-numbers are null. */
+    number:     function(value){
+                    var num = (typeof value === 'string') ? parseFloat($.trim(value).replace(/,/g, '')) : Number(value);
+                    
+                    return (typeof value === 'boolean' || isNaN(num)) ? null : num;
+                },
+    
+    /** Converts the value to a string */
+    string:     function(value){ return String(value); }
+};
+
+
+/** The readers of the reader config of Wui.Data, by name. A reader has a read(response, config) function, called on the
+data object with the reader config, which returns the records or an object containing the 'data' and 'total'. Readers
+of responses that aren't JSON also have a 'dataType' for the request, eg. 'text'. Add to it for custom readers. */
+Wui.Data.readers = {
+    /** Finds the records and total by their paths in the response (see valueAt()), eg. {type: 'json', root:
+    'result.items', total: 'result.count'}. Without a root the response is the records. */
+    json:       {
+                    read:   function(r, config){
+                                return {
+                                    data:   (config.root) ? this.valueAt(r, config.root) : r,
+                                    total:  (config.total) ? this.valueAt(r, config.total) : undefined
+                                };
+                            }
+                },
+    
+    /** Reads a JSON:API document. The attributes of the resources become the records, along with their 'id' and 'type',
+    and the ids of their related resources. The total is at 'meta.total' unless a 'total' path is given. */
+    jsonapi:    {
+                    read:   function(r, config){
+                                var resources = (r && r.data) ? r.data : [];
+                                
+                                return {
+                                    data:   ($.isArray(resources) ? resources : [resources]).map(function(res){
+                                                var rec = $.extend({ id: res.id, type: res.type }, res.attributes);
+                                                
+                                                $.each(res.relationships || {}, function(name, rel){
+                                                    if(rel && rel.data !== undefined)
+                                                        rec[name] = ($.isArray(rel.data)) ? rel.data.map(function(related){ return related.id; }) :
+                                                            (rel.data) ? rel.data.id : null;
+                                                });
+                                                
+                                                return rec;
+                                            }),
+                                    total:  this.valueAt(r, config.total || 'meta.total')
+                                };
+                            }
+                },
+    
+    /** Reads an OData response, where the records are the 'value' and the total is the '@odata.count' (requested with
+    $count=true). */
+    odata:      {
+                    read:   function(r){
+                                return { data: r.value, total: r['@odata.count'] };
+                            }
+                },
+    
+    /** Reads a GraphQL response. The 'query' is the path of the results under 'data', defaulting to the first of them.
+    Connections have their records in edges[].node and the total in 'totalCount', while lists are the records. */
+    graphql:    {
+                    read:   function(r, config){
+                                var results = (r && r.data) ? r.data : {},
+                                    result = this.valueAt(results, config.query || Object.keys(results)[0]);
+                                
+                                if(result && $.isArray(result.edges))
+                                    return {
+                                        data:   result.edges.map(function(edge){ return edge.node; }),
+                                        total:  result.totalCount
+                                    };
+                                
+                                return (result && $.isArray(result.nodes)) ? { data: result.nodes, total: result.totalCount } : result;
+                            }
+                },
+    
+    /** Reads comma separated values, where the first row names the columns unless 'columns' are given. The 'delimiter'
+    defaults to a comma. Values are strings, which the fields config can convert. */
+    csv:        {
+                    dataType:   'text',
+                    read:       function(r, config){
+                                    var text = String(r).replace(/^\uFEFF/, ''),
+                                        delimiter = config.delimiter || ',',
+                                        rows = [],
+                                        row = [],
+                                        value = '',
+                                        quoted = false,
+                                        columns,
+                                        chr;
+                                    
+                                    for(var i = 0; i < text.length; i++){
+                                        chr = text.charAt(i);
+                                        
+                                        if(quoted){
+                                            // A quote inside quotes is written twice
+                                            if(chr === '"' && text.charAt(i + 1) === '"'){
+                                                value += chr;
+                                                i++;
+                                            }
+                                            else if(chr === '"'){
+                                                quoted = false;
+                                            }
+                                            else{
+                                                value += chr;
+                                            }
+                                        }
+                                        else if(chr === '"'){
+                                            quoted = true;
+                                        }
+                                        else if(chr === delimiter){
+                                            row.push(value);
+                                            value = '';
+                                        }
+                                        else if(chr === '\n' || chr === '\r'){
+                                            if(chr === '\r' && text.charAt(i + 1) === '\n')
+                                                i++;
+                                            
+                                            row.push(value);
+                                            rows.push(row);
+                                            row = [];
+                                            value = '';
+                                        }
+                                        else{
+                                            value += chr;
+                                        }
+                                    }
+                                    
+                                    if(value.length || row.length){
+                                        row.push(value);
+                                        rows.push(row);
+                                    }
+                                    
+                                    // Blank lines aren't records
+                                    rows = rows.filter(function(cells){ return cells.length > 1 || cells[0].length > 0; });
+                                    columns = config.columns || rows.shift() || [];
+                                    
+                                    return rows.map(function(cells){
+                                        var rec = {};
+                                        
+                                        columns.forEach(function(column, idx){
+                                            rec[column] = (idx < cells.length) ? cells[idx] : null;
+                                        });
+                                        
+                                        return rec;
+                                    });
+                                }
+                }
+};
+
+
+/** Where the snapshots of the persist config of Wui.Data are kept, by the name of the storage. A store has get(key),
+set(key, snapshot) and remove(key) methods, each returning a promise, where get() is resolved with undefined when there
+is no snapshot. Add to it for custom storage. */
+Wui.Data.snapshotStores = {
+    /** Keeps snapshots as JSON in localStorage. Settles at once so data can be set before anything is shown. */
+    localStorage: {
+        get:    function(key){
+                    var dfd = $.Deferred(),
+                        stored;
+                    
+                    try {
+                        stored = window.localStorage.getItem(key);
+                        dfd.resolve((stored !== null) ? JSON.parse(stored) : undefined);
+                    }
+                    catch(e){
+                        dfd.reject(e);
+                    }
+                    
+                    return dfd.promise();
+                },
+        
+        remove: function(key){
+                    try {
+                        window.localStorage.removeItem(key);
+                    }
+                    catch(e){}
+                    
+                    return $.Deferred().resolve().promise();
+                },
+        
+        set:    function(key, snapshot){
+                    var dfd = $.Deferred();
+                    
+                    // Storage may be full or unavailable
+                    try {
+                        window.localStorage.setItem(key, JSON.stringify(snapshot));
+                        dfd.resolve();
+                    }
+                    catch(e){
+                        dfd.reject(e);
+                    }
+                    
+                    return dfd.promise();
+                }
+    },
+    
+    /** Keeps snapshots in the 'snapshots' object store of the 'wui-data' IndexedDB database, which holds more data than
+    localStorage but is read asynchronously. */
+    indexedDB: {
+        open:   function(){
+                    var me = this,
+                        dfd,
+                        request;
+                    
+                    if(me.db)
+                        return me.db;
+                    
+                    // A database that couldn't be opened is tried again the next time
+                    dfd = me.db = $.Deferred().fail(function(){ me.db = null; });
+                    
+                    try {
+                        request = window.indexedDB.open('wui-data', 1);
+                        request.onupgradeneeded = function(){ request.result.createObjectStore('snapshots'); };
+                        request.onsuccess = function(){ dfd.resolve(request.result); };
+                        request.onerror = function(){ dfd.reject(request.error); };
+                    }
+                    catch(e){
+                        dfd.reject(e);
+                    }
+                    
+                    return dfd.promise();
+                },
+        
+        request:function(mode, action, args){
+                    return this.open().then(function(db){
+                        var dfd = $.Deferred(),
+                            store = db.transaction('snapshots', mode).objectStore('snapshots'),
+                            request = store[action].apply(store, args);
+                        
+                        request.onsuccess = function(){ dfd.resolve(request.result); };
+                        request.onerror = function(){ dfd.reject(request.error); };
+                        
+                        return dfd.promise();
+                    });
+                },
+        
+        get:    function(key){ return this.request('readonly', 'get', [key]); },
+        
+        remove: function(key){ return this.request('readwrite', 'delete', [key]); },
+        
+        set:    function(key, snapshot){ return this.request('readwrite', 'put', [snapshot, key]); }
+    }
+};
+
+
+/** The shared data objects registered by name. See Wui.Data.register() and Wui.Data.get(). */
+Wui.Data.stores = {};
+
+/**
+@param {string} name The name of a registered data object
+@param {object} [config] Configs to make the data object with if none is registered under the name. Its name defaults
+to the name it is registered under.
+@return The data object registered under the name, or undefined if there is none and no config was given.
+Gets a shared data object, so that many controls (eg. Wui.Combo2's store config) can use the same data.
+eg. Wui.Data.get('employees', {url: 'employees.json'})
+*/
+Wui.Data.get = function(name, config){
+    if(!Wui.Data.stores.hasOwnProperty(name) && config)
+        Wui.Data.register(name, new Wui.Data($.extend({ name: name }, config)));
+    
+    return Wui.Data.stores.hasOwnProperty(name) ? Wui.Data.stores[name] : undefined;
+};
+
+/**
+@param {string} [name] The name to register the data object under. Defaults to the name of the data object.
+@param {object} store The data object
+@return The data object
+Registers a data object to be shared by name, replacing any registered under the same name.
+*/
+Wui.Data.register = function(name, store){
+    if(store === undefined){
+        store = name;
+        name = store.name;
+    }
+    
+    if(!name)
+        throw new Error('Wui.js - A data object needs a name to be registered.');
+    
+    Wui.Data.stores[name] = store;
+    
+    return store;
+};
+
+/**
+@param {string} name The name a data object is registered under
+Removes a data object from the registry. Controls using it keep it.
+*/
+Wui.Data.unregister = function(name){
+    delete Wui.Data.stores[name];
+};
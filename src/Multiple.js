@@ -1,268 +1,366 @@
-/*************************************** REQUIRES  forms.js ***************************************/
-(function($,Wui) {
-
-
-Wui.selectMonster = function(combo){
-    var $combo = $(combo),
-        data = [],
-        selectRecs = [],
-        attrs = $combo[0].dataset,
-        replaceSpan = $('<span>').attr('data-select-name', $combo.attr('name'));
-
-    // Collect the object's children into a data store
-    $combo.children().each(function(idx,itm){
-        var $itm = $(itm),
-            val = $itm.attr('value'),
-            title = $itm.text(),
-            selected = ($itm.attr('selected') !== undefined),
-            dataItm = {};
-
-        dataItm[attrs.valueItem] = val;
-        dataItm[attrs.titleItem] = title;
-
-        data.push(dataItm);
-
-        if(selected)
-            selectRecs.push(dataItm);
-    });
-
-    // Replace the existing object with a placeholder
-    $combo.replaceWith(replaceSpan);
-
-    // Create the WUI combo
-    return new Wui.Combo({
-        titleItem:      attrs.titleItem,
-        valueItem:      attrs.valueItem,
-        data:           data,
-        appendTo:       replaceSpan,
-        name:           $combo.attr('name'),
-        
-        // Right now Wui.Combo only accepts single values, so put selected 
-        // records in a separate value
-        selectRecs:     selectRecs,
-        
-        // Actually select the latest selected item if there are multiple
-        // This value gets wiped out when the object is placed
-        value:          (selectRecs.length) ? selectRecs[ selectRecs.length - 1 ][attrs.valueItem] : null
-    });
-};
+/**
+ * Multiple - A WUI-based control
+ * =================================================================================================
+ * (a list of tags fed by a Wui.Combo2)
+ *
+ * Wui.Multiple collects the records selected on a Wui.Combo2 and shows them as tags above the
+ * combo. Each selection is pushed into the data of the Multiple and the combo is cleared so
+ * another record can be chosen. The values are mirrored into a hidden `<select multiple>` so
+ * the control submits with a form like any other field.
+ *
+ * Examples
+ * --------
+ *
+ *  tags = new Wui.Multiple({ name: 'people' }, new Wui.Combo2({
+ *      valueItem: 'id',
+ *      titleItem: 'name',
+ *      data:   [
+ *          {id:0, name:"Jeff"},
+ *          {id:2, name:"Steve"},
+ *          {id:1, name:"Tim"}
+ *      ],
+ *      append: '#target'
+ *  }));
+ *
+ * The Multiple takes the place of the combo on the DOM, unless one of the 'append', 'prepend',
+ * 'before', or 'after' configs is given.
+ *
+ * @param       Object      args    A configuration object containing overrides for the default configs
+ *                                  below as well as methods in the prototype.
+ *
+ * @param       Object      combo   A Wui.Combo2 that will feed selections into the Multiple.
+ *
+ * @returns     Object      The Wui.Multiple object is returned.
+ */
+Wui.Multiple = function(args, combo) {
+    $.extend(this, {
+        // Array of the records that are selected
+        data: [],
+
+        // Name of the hidden select that carries the values of the Multiple in a form. Defaults
+        // to the name of the combo.
+        name: null,
+
+        // The HTML template for each tag. Set in defineTags() unless defined here.
+        template: null
+    }, args);
 
+    this.init(combo);
+};
 
-Wui.Multiple = function(args,combo){
-    $.extend(this, {data: []}, args);
 
-    this.init(combo);
-}
-Wui.Multiple.prototype = new Wui.FormField( $.extend( new Wui.DataList(), {
-    init:           function(combo){
-                        var me = this;
-
-                        // Get info from combo needed to access its data
-                        $.extend(me,{
-                            valueItem:      combo.valueItem,
-                            url:            combo.url,
-                            params:         combo.params,
-                            appendTo:       me.appendTo || combo.appendTo,
-                            selectEl:       $('<select>',{
-                                                multiple:   'multiple',
-                                                name:       combo.name || me.name
-                                            }),
-                            selectTemplate:new Wui.Template({
-                                                template:   '<option value={' +combo.valueItem+ '} ' +
-                                                            'selected="selected">{' +combo.titleItem+ '}</option>'
-                                            }),
+Wui.Multiple.prototype = $.extend(new Wui.Data(), {
+    /**
+     * Removes all of the tags from the DOM.
+     */
+    clear: function() {
+        this.combo.el.prevAll().remove();
+    },
+
+
+    /**
+     * Overwrites the Wui.Data event hook to redraw the tags and the hidden select when the data
+     * changes.
+     */
+    dataChanged: function() {
+        var me = this,
+            oldVal = me.value,
+            holder = $('<div>');
+
+        me.make();
+
+        me.data.forEach(function(rec) {
+            holder.append(me.selectEngine.make(rec));
+        });
+
+        me.selectEl.empty().append(holder.children());
+        // A copy, so the next change to the data doesn't change the value handed out as oldVal
+        me.value = me.data.slice();
+
+        me.el.trigger($.Event('valchange'), [me, me.value, oldVal]);
+    },
+
+
+    /**
+     * Defines the template for the tags. In a separate function so it can be overridden. The
+     * template is a Wui.Smarty template and has access to 'wuiIndex', the position of the record
+     * in the data, which is needed to remove the tag.
+     */
+    defineTags: function() {
+        var me = this;
+
+        me.template = me.template ||
+            '<span class="wui-multiple-tag">' +
+                '{' +me.combo.titleItem+ '|escape:html}' +
+                '<a data-index="{wuiIndex}" href="javascript:void(0);"></a>' +
+            '</span>';
+    },
+
+
+    /**
+     * Returns only the simple values of the selected records.
+     *
+     * @returns     {Array}     An array of values, or null if nothing is selected.
+     */
+    getVal: function() {
+        var me = this,
+            retArray = [];
+
+        if (me.value !== null && me.value.length) {
+            me.value.forEach(function(rec) {
+                retArray.push(rec[me.combo.valueItem]);
+            });
+        }
+
+        return (retArray.length) ? retArray : null;
+    },
+
+
+    /**
+     * Init sets variables needed for the Multiple and its methods to function, and places it on
+     * the DOM in the position of the combo.
+     *
+     * @param   {Object}    combo   A Wui.Combo2.
+     */
+    init: function(combo) {
+        var me = this,
+            possibleActions = ['append', 'prepend', 'before', 'after'],
+            action;
+
+        if (!(combo instanceof Wui.Combo2)) {
+            throw new Error('Wui.js - Wui.Multiple requires a Wui.Combo2.');
+        }
+
+        $.extend(me, {
                             // Add the combo as a member of the multiple
-                            combo:          combo
-                        });
-
-                        // Define a template for the tags - In a separate function so they
-                        // can be overridden
-                        me.defineTags();
-                        
-                        // Init the object as a regular form
-                        Wui.FormField.prototype.init.apply(me,arguments);
-
-                        // Put the items on the DOM
-                        var el = (me.elAlias || me.el);
-                        el.addClass('w121-multiple')
-                            .append( me.combo.el, me.selectEl )
-                            .on('click',function(){
-                                el[ (el.find('.w121-selected').length > 0) ? 'removeClass' : 'addClass' ]('has-focus');
-                            })
-                            .on('click','a', function(){ 
-                                me.removeItems(this); 
-                            })
-                            .on('focus','input',function(){
-                                me.combo.field.val('');
-                                el.addClass('has-focus');
-                            })
-                            .on('blur','input',function(){
-                                el.removeClass('has-focus');
-                            })
-                            .on('valchange', function(evnt,obj){ 
-                                if(obj.value !== null){
-                                    me.push(obj.value);
-                                    obj.val(null);
-                                    obj.field.val('');
-                                }
-
-                                evnt.stopPropagation();
-                            });
-                    },
-    defineTags:     function(){
-                        this.template = 
-                            '<span>' +
-                                '{' +this.combo.titleItem+ '}' +
-                                '<a data-index="{wuiIndex}" href="javascript:void(0);">x</a>' +
-                            '</span>';
-                    },
-    removeItems:    function(itm){
-                        var me = this;
-
-                        var wuiIndex = itm.dataset.index;
-                        me.splice(wuiIndex,1);
-                    },
-    onRender:       function(){
-                        var me = this;
-                        
-                        if(me.hasOnRendered !== true){
-                            if(me.combo.autoLoad)   me.combo.loadData();
-                            else                    me.combo.make();
-
-                            if(me.combo.selectRecs)
-                                // If there are selected records, the last one will be added
-                                // by the data change event of the select
-                                for(var i = 0; i < me.combo.selectRecs.length - 1; i++)
-                                    me.push(me.combo.selectRecs[i]);
-
-                            me.hasOnRendered = true;
-                        }
-                    },
-    dataChanged:    function (){ 
-                        this.make();
-
-                        var me = this,
-                            oldVal = me.value,
-                            i = 0, 
-                            holder = $('<div>'),
-                            holdingData = $.extend(true,[],me.data) || [];
-
-                        for(i = 0; i < holdingData.length; i++){
-                            me.selectTemplate.data = holdingData[i];
-                            holder.append(me.selectTemplate.make());
-                        }
-
-                        me.selectEl.empty().append(holder.children().unwrap());
-                        me.value = me.data;
-
-                        // Taking out.  This causes recursion and is not needed because
-                        // the combo already has called valchange()..
-                        //me.el.trigger($.Event('valchange'), [me, me.value, oldVal, me.val()]);
-                    },
-    push:           function(){
-                        var me = this, actuallyPush = [];
-
-                        Array.prototype.forEach.call(arguments,function(push_item){
-                            var doPush = true;
-
-                            // Ensure there are not multiple values added in the multiple
-                            me.items.forEach(function(items_item){ if(push_item == items_item.rec) doPush = false; });
-                            if(doPush)
-                                actuallyPush.push(push_item);
-                        });
-
-                        Wui.Data.prototype.push.apply(this,actuallyPush);
-                    },
-    splice:         Wui.Data.prototype.splice,
-    
-    /** Returns only the simple value of an item */
-    getVal:         function(){
-                        var retArray = [];
-
-                        if(this.value !== null && this.value.length)
-                            for(var i = 0; i < this.value.length; i++)
-                                retArray.push(this.value[i][this.valueItem]);
-                        
-                        return (retArray.length) ? retArray : null;
-                    },
-    setVal:         function(sv){
-                        var me = this;
-
-                        if(sv !== null && sv.length && sv.length > 0){
-                            me.data = [];
-                            me.make();
-                            
-                            // Comma/Space delimited strings of numbers are converted to an array
-                            var pattern = /,/;
-                            if(typeof sv === 'string' && sv.match(pattern)) {
-                                sv = sv.split(',');
-                            } else if (typeof sv === 'string') {
-                                sv = sv.split(' ');
-                            }
-
-                            // Single values are made an array of 1 element
-                            if(!$.isArray(sv)){
-                                var tmp = sv;
-                                sv = []; sv[0] = tmp;
-                            }
-
-                            if(typeof sv[0] !== 'object')    me.loadComboVals(sv);
-                            else                             me.setData(sv);
-                        }else{
-                            me.setData(null);
-                        }
-                    },
-    loadComboVals:  function(sv){
-                        var me = this;
-
-                        if(me.url === null && me.combo.data.length){
-                            for(var i = 0; i < sv.length; i ++){
-                                if($.isNumeric(sv[i]) || (sv[i].length && sv[i].length > 0))
-                                    me.push(me.combo.selectBy(me.combo.valueItem,sv[i]).rec);
-                            }
-                            me.combo.val(null);
-                        }
-                    },
-    make:           function (){
-                        var me = this,
-                            holdingData = me.data || [],
-                            els = [],
-                            holder = $('<div>');
-                        
-                        // Clear out items list
-                        me.items = [];
-
-                        // Add items to me.items
-                        for(var i = 0; (me.displayMax < 0 && i < holdingData.length) || (me.displayMax > 0 && i < me.displayMax && i < holdingData.length); i++){
-                            var rec = me.data = holdingData[i],
-                                itmEl = Wui.Template.prototype.make.call(me, i),
-                                itm = { el:itmEl, rec:rec };
-                            
-                            els.push(itmEl);
-                            Array.prototype.push.call(me.items,itm);
-                            holder.append(me.createItem(itm));
+            combo:          combo,
+
+            el:             $('<div>').addClass('wui-multiple'),
+
+                            // Template for the options of the hidden select
+            selectEngine:   new Wui.Smarty({
+                                html:   '<option value="{' +combo.valueItem+ '|escape:html}" ' +
+                                        'selected="selected">{' +combo.titleItem+ '|escape:html}</option>'
+                            }),
+
+            selectEl:       $('<select>', {
+                                multiple:   'multiple',
+                                name:       me.name || combo.name
+                            }),
+
+            value:          null
+        });
+
+        // Define a template for the tags - In a separate function so they can be overridden
+        me.defineTags();
+        me.engine = new Wui.Smarty({html: me.template});
+
+        // Take the place of the combo on the DOM unless told otherwise
+        $.each(possibleActions, function(idx, act) {
+            if (Wui.isset(me[act])) {
+                action = act;
+                return false;
+            }
+        });
+
+        if (action) {
+            $(me[action])[action](me.el);
+        }
+        else {
+            combo.el.before(me.el);
+        }
+
+        // Put the items on the DOM
+        me.el
+            .append(combo.el, me.selectEl)
+            .on('click', function() {
+                me.el[(me.el.find('.wui-multiple-tag').length > 0) ? 'removeClass' : 'addClass']('has-focus');
+            })
+            .on('click', 'a[data-index]', function() {
+                me.removeItems(this);
+            })
+            .on('focus', 'input', function() {
+                combo.field.val('');
+                me.el.addClass('has-focus');
+            })
+            .on('blur', 'input', function() {
+                me.el.removeClass('has-focus');
+            })
+            .on('valchange', function(event, obj, newVal) {
+                // Only take values coming from the combo
+                if (obj !== combo) {
+                    return;
+                }
+
+                event.stopPropagation();
+
+                if ($.isPlainObject(newVal)) {
+                    me.push(newVal);
+
+                    // The combo sets its field after firing 'valchange', so clear it afterward
+                    setTimeout(function() {
+                        combo.value = null;
+                        combo.setFieldValue('');
+                    }, 0);
+                }
+            });
+
+        if (me.data.length) {
+            me.setData(me.data);
+        }
+    },
+
+
+    /**
+     * Sets the records from simple values by finding them in the data of the combo. Values are
+     * compared as strings because values parsed from a delimited string are always strings.
+     *
+     * @param   {Array}     sv      Array of simple values.
+     */
+    loadComboVals: function(sv) {
+        var me = this,
+            valueItem = me.combo.valueItem,
+            recs = [];
+
+        if (!me.combo.isRemote() || me.combo.searchLocal) {
+            sv.forEach(function(val) {
+                if ($.isNumeric(val) || (val.length && val.length > 0)) {
+                    me.combo.each(function(itm) {
+                        if (itm.rec[valueItem] !== undefined && String(itm.rec[valueItem]) === String(val)) {
+                            recs.push(itm.rec);
+                            return false;
                         }
-                        
-                        // Clear out existing items and add new to the DOM
-                        me.clear();
-                        (me.elAlias || me.el).prepend(holder.children().unwrap());
-                        me.data = holdingData;
-                        
-                        // Set autoLoad to true because it should only block on the first run, and if this functions is happened then the
-                        // object has been manually run
-                        me.autoLoad = true;
-                        
-                        me.clickListener(els);
-
-                        // Event hook and event
-                        me.afterMake();
-                        me.el.trigger($.Event('refresh'),[me,me.data]);
-                        me.resetSelect();
-                    },
-    clear:          function(){
-                        this.combo.el.prevAll().remove();
-                    }
-} ));
-
-
-})(jQuery,window[_wuiVar]);
\ No newline at end of file
+                    });
+                }
+            });
+        }
+
+        me.setData(recs);
+    },
+
+
+    /**
+     * Creates the tags from the data and places them ahead of the combo.
+     *
+     * @returns     {Number}    The number of tags that were created
+     */
+    make: function() {
+        var me = this,
+            holder = $('<div>');
+
+        // Clear out items list
+        me.items = [];
+
+        me.data.forEach(function(rec, index) {
+            var itm = {
+                    el:     $(me.engine.make($.extend({wuiIndex: index}, rec))),
+                    rec:    rec
+                };
+
+            me.items.push(itm);
+            holder.append(itm.el);
+        });
+
+        // Clear out existing items and add new to the DOM
+        me.clear();
+        me.combo.el.before(holder.children());
+
+        return me.items.length;
+    },
+
+
+    /**
+     * Same as Wui.Data.push() except that records already in the Multiple are not added again.
+     *
+     * @param   {Object}    [obj,...]   One or more records to be added.
+     *
+     * @returns {Number}    The new length of the data
+     */
+    push: function() {
+        var me = this,
+            valueItem = me.combo.valueItem,
+            actuallyPush = [];
+
+        Array.prototype.forEach.call(arguments, function(pushItem) {
+            var isDuplicate = me.data.concat(actuallyPush).some(function(rec) {
+                    return rec === pushItem || rec[valueItem] === pushItem[valueItem];
+                });
+
+            if (!isDuplicate) {
+                actuallyPush.push(pushItem);
+            }
+        });
+
+        if (actuallyPush.length === 0) {
+            return me.data.length;
+        }
+
+        return Wui.Data.prototype.push.apply(me, actuallyPush);
+    },
+
+
+    /**
+     * Removes the record belonging to a tag.
+     *
+     * @param   {Node}      itm     The remove link of a tag, which carries the index of its record.
+     */
+    removeItems: function(itm) {
+        this.splice(parseInt($(itm).attr('data-index'), 10), 1);
+    },
+
+
+    /**
+     * Sets the selected records. Comma or space delimited strings are split into values.
+     *
+     * @param   {Array|String|Object}   sv  An array of records or simple values, a delimited
+     *                                      string of values, or a single value.
+     */
+    setVal: function(sv) {
+        var me = this;
+
+        if (sv !== null && sv !== undefined && (typeof sv !== 'string' || sv.length > 0)) {
+            // Comma/Space delimited strings of values are converted to an array
+            if (typeof sv === 'string') {
+                sv = sv.split(sv.indexOf(',') !== -1 ? ',' : ' ').map(function(val) {
+                    return $.trim(val);
+                });
+            }
+
+            // Single values are made an array of 1 element
+            if (!$.isArray(sv)) {
+                sv = [sv];
+            }
+
+            if (typeof sv[0] !== 'object') {
+                me.loadComboVals(sv);
+            }
+            else {
+                me.setData(sv);
+            }
+        }
+        else {
+            me.setData([]);
+        }
+    },
+
+
+    /**
+     * Works similarly to jQuery's val() method. If arguments are omitted the value of the Multiple
+     * will be returned, otherwise the value is set.
+     *
+     * @param       {Array|String}  newVal      See setVal().
+     *
+     * @returns     Either the value of the Multiple if no arguments are passed, or the arguments passed in
+     */
+    val: function() {
+        var me = this;
+
+        if (!arguments.length) {
+            return me.getVal();
+        }
+
+        me.setVal.apply(me, arguments);
+
+        return arguments;
+    }
+});
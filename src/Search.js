@@ -0,0 +1,577 @@
+/**
+ * Wui.Search holds the text matching used by the WUI controls to filter and rank local data.
+ *
+ * Every matcher takes a search term (query) and the text to search, and returns either null when
+ * the text doesn't match, or a match object:
+ *
+ *      {
+ *          score:  <Number, higher is a better match. A perfect match scores around 1>,
+ *          ranges: <Array of [start, end] pairs marking the matched characters in the text>
+ *      }
+ *
+ * The ranges index into the text as it was passed in, so they can be used for hilighting.
+ *
+ * Matchers also take an optional options object that determines which differences between
+ * characters matter, following the `sensitivity` option of Intl.Collator:
+ *
+ *      {
+ *          locale:         <Optional. A BCP 47 language tag used for case folding, eg. 'tr'>,
+ *          sensitivity:    <'base' (default, ignores case and accents) | 'accent' (ignores case) |
+ *                           'case' (ignores accents) | 'variant' (exact)>
+ *      }
+ */
+Wui.Search = {
+    /**
+     * Case-insensitive substring matching. Every occurrence of the query is included in the ranges.
+     *
+     * @param   {String}    query   The search term
+     * @param   {String}    text    The text to search
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    A match object, or null if the query isn't in the text
+     */
+    contains: function(query, text, options) {
+        var folded = Wui.Search.fold(text, options),
+            lowerQuery = Wui.Search.fold(query, options).text,
+            lowerText = folded.text,
+            ranges = [],
+            index = (lowerQuery.length) ? lowerText.indexOf(lowerQuery) : -1;
+
+        if (index === -1) {
+            return null;
+        }
+
+        while (index !== -1) {
+            ranges.push([index, index + lowerQuery.length]);
+            index = lowerText.indexOf(lowerQuery, index + lowerQuery.length);
+        }
+
+        return {
+            score:  Wui.Search.positionScore(lowerText, ranges[0][0]),
+            ranges: Wui.Search.mapRanges(ranges, folded.map)
+        };
+    },
+
+
+    /**
+     * Computes the number of insertions, deletions, substitutions and transpositions of adjacent
+     * characters needed to turn one string into another (optimal string alignment distance).
+     *
+     * @param   {String}    a   A string
+     * @param   {String}    b   Another string
+     *
+     * @returns {Number}    The edit distance between the strings
+     */
+    editDistance: function(a, b) {
+        var d = [],
+            i,
+            j,
+            cost;
+
+        for (i = 0; i <= a.length; i++) {
+            d[i] = [i];
+        }
+
+        for (j = 0; j <= b.length; j++) {
+            d[0][j] = j;
+        }
+
+        for (i = 1; i <= a.length; i++) {
+            for (j = 1; j <= b.length; j++) {
+                cost = (a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + cost);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    },
+
+
+    /**
+     * Matches only when the whole text is the query, ignoring surrounding whitespace. Useful for
+     * looking up codes.
+     *
+     * @param   {String}    query   The search term
+     * @param   {String}    text    The text to search
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    A match object, or null if the text isn't the query
+     */
+    exact: function(query, text, options) {
+        var folded = Wui.Search.fold(text, options),
+            lowerQuery = Wui.Search.fold(query, options).text.replace(/^\s+|\s+$/g, ''),
+            start = folded.text.search(/\S/),
+            end = folded.text.replace(/\s+$/, '').length;
+
+        if (lowerQuery.length === 0 || folded.text.slice(start, end) !== lowerQuery) {
+            return null;
+        }
+
+        return {
+            score:  1,
+            ranges: Wui.Search.mapRanges([[start, end]], folded.map)
+        };
+    },
+
+
+    /**
+     * Folds a text for comparison: lowercasing it and removing accents as called for by the
+     * sensitivity. Folding can change the length of the text ('ß' becomes 'ss'), so a map of the
+     * positions of the folded characters in the original text is returned too.
+     *
+     * @param   {String}    text    The text to fold
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    An object containing the folded 'text', and a 'map' where map[i] is the
+     *                      position in the original text of the folded character i. The map is null
+     *                      when the positions are unchanged.
+     */
+    fold: function(text, options) {
+        var locale = (options) ? options.locale : null,
+            sensitivity = (options && options.sensitivity) ? options.sensitivity : 'base',
+            ignoreCase = (sensitivity === 'base' || sensitivity === 'accent'),
+            ignoreAccents = (sensitivity === 'base' || sensitivity === 'case'),
+            folded = '',
+            map = [],
+            piece,
+            i,
+            k;
+
+        function lower(str) {
+            if (!ignoreCase) {
+                return str;
+            }
+
+            return (locale) ? str.toLocaleLowerCase(locale) : str.toLowerCase();
+        }
+
+        text = String(text);
+
+        // Plain ASCII folds one character for one character
+        if (!ignoreAccents || /^[\x00-\x7f]*$/.test(text)) {
+            piece = lower(text);
+
+            if (piece.length === text.length) {
+                return {text: piece, map: null};
+            }
+        }
+
+        for (i = 0; i < text.length; i++) {
+            piece = text.charAt(i);
+            piece = lower((ignoreAccents) ? Wui.Search.stripAccents(piece) : piece);
+
+            for (k = 0; k < piece.length; k++) {
+                folded += piece.charAt(k);
+                map.push(i);
+            }
+        }
+
+        map.push(text.length);
+
+        return {text: folded, map: map};
+    },
+
+
+    /**
+     * Fuzzy matching that tolerates typos, words given out of order, abbreviations and acronyms.
+     * Every word of the query must match somewhere in the text. For example 'acct rec' and 'ar'
+     * both match 'Accounts Receivable'. Texts with fewer words left unmatched rank higher, so
+     * 'acct rec' ranks 'Accounts Receivable' above 'Acct. Receivable Other'.
+     *
+     * @param   {String}    query   The search term
+     * @param   {String}    text    The text to search
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    A match object, or null if the text doesn't match
+     */
+    fuzzy: function(query, text, options) {
+        var folded = Wui.Search.fold(text, options),
+            lowerText = folded.text,
+            queryWords = Wui.Search.words(Wui.Search.fold(query, options).text),
+            textWords = Wui.Search.words(lowerText),
+            total = 0,
+            ranges = [],
+            positions = [],
+            inOrder = true,
+            covered,
+            i,
+            match;
+
+        if (queryWords.length === 0) {
+            return null;
+        }
+
+        for (i = 0; i < queryWords.length; i++) {
+            match = Wui.Search.fuzzyWord(queryWords[i].text, lowerText, textWords);
+
+            if (match === null) {
+                return null;
+            }
+
+            total += match.score;
+            ranges = ranges.concat(match.ranges);
+            positions.push(match.ranges[0][0]);
+
+            if (i > 0 && positions[i] < positions[i - 1]) {
+                inOrder = false;
+            }
+        }
+
+        // The words of the text the query matched part of
+        covered = textWords.filter(function(textWord) {
+            return ranges.some(function(range) {
+                return range[0] < textWord.start + textWord.text.length && range[1] > textWord.start;
+            });
+        }).length;
+
+        return {
+            // Texts with fewer words left unmatched, words in the order they appear in the text,
+            // and shorter texts, rank higher
+            score:  0.65 * (total / queryWords.length) + 0.35 * (covered / Math.max(textWords.length, 1)) +
+                    (inOrder ? 0.05 : 0) - (Math.min(lowerText.length, 500) / 50000),
+            ranges: Wui.Search.mapRanges(Wui.Search.mergeRanges(ranges), folded.map)
+        };
+    },
+
+
+    /**
+     * Finds the best fuzzy match for a single word of a query. See fuzzy().
+     *
+     * @param   {String}    word        A folded word of the query
+     * @param   {String}    text        The folded text to search
+     * @param   {Array}     textWords   The words of the text from words()
+     *
+     * @returns {Object}    A match object, or null if the word doesn't match
+     */
+    fuzzyWord: function(word, text, textWords) {
+        // Already folded, so compare exactly
+        var best = Wui.Search.contains(word, text, {sensitivity: 'variant'}),
+            allowedTypos = (word.length >= 8) ? 2 : 1;
+
+        function consider(score, ranges) {
+            if (best === null || score > best.score) {
+                best = {score: score, ranges: ranges};
+            }
+        }
+
+        // A whole word match is as good as it gets
+        if (best !== null && best.score >= 0.9) {
+            return {score: best.score, ranges: [best.ranges[0]]};
+        }
+        else if (best !== null) {
+            best.ranges = [best.ranges[0]];
+        }
+
+        textWords.forEach(function(textWord, index) {
+            var ranges = [],
+                position,
+                last,
+                k,
+                length,
+                distance;
+
+            // Acronyms: 'ar' for 'Accounts Receivable'
+            if (word.length > 1 && index + word.length <= textWords.length) {
+                for (k = 0; k < word.length && textWords[index + k].text.charAt(0) === word.charAt(k); k++) {
+                    ranges.push([textWords[index + k].start, textWords[index + k].start + 1]);
+                }
+
+                if (k === word.length) {
+                    consider(0.8, ranges);
+                }
+            }
+
+            // Abbreviations: the letters of the word in order, starting at the start of a word of
+            // the text, such as 'acct' for 'Accounts'
+            if (word.length > 1 && textWord.text.charAt(0) === word.charAt(0)) {
+                ranges = [];
+                position = textWord.start;
+
+                for (k = 0; k < word.length && position !== -1; k++) {
+                    position = text.indexOf(word.charAt(k), position);
+
+                    if (position !== -1) {
+                        ranges.push([position, position + 1]);
+                        last = position++;
+                    }
+                }
+
+                // Abbreviating a single word, as 'acct' does 'Accounts', is the likelier meaning
+                if (position !== -1) {
+                    consider(((last < textWord.start + textWord.text.length) ? 0.5 : 0.3) +
+                        0.4 * (word.length / (last - textWord.start + 1)), ranges);
+                }
+            }
+
+            // Typos: a few edits away from the start of a word of the text
+            if (word.length >= 4) {
+                for (length = word.length - 1; length <= word.length + 1; length++) {
+                    if (length <= textWord.text.length) {
+                        distance = Wui.Search.editDistance(word, textWord.text.substr(0, length));
+
+                        if (distance <= allowedTypos) {
+                            consider(0.55 - 0.15 * distance, [[textWord.start, textWord.start + length]]);
+                        }
+                    }
+                }
+            }
+        });
+
+        return best;
+    },
+
+
+    /**
+     * Determines whether a position in a text is the first character of a word.
+     *
+     * @param   {String}    text    A string
+     * @param   {Number}    index   A position in the string
+     *
+     * @returns {Boolean}   True if the character at the index begins a word
+     */
+    isWordStart: function(text, index) {
+        var wordChar = /[^\s!-\/:-@\[-`{-~]/;
+
+        return wordChar.test(text.charAt(index)) && (index === 0 || !wordChar.test(text.charAt(index - 1)));
+    },
+
+
+    /**
+     * Translates ranges found in a folded text to positions in the original text. See fold().
+     *
+     * @param   {Array}     ranges  An array of [start, end] pairs within the folded text
+     * @param   {Array}     map     The map returned by fold()
+     *
+     * @returns {Array}     An array of [start, end] pairs within the original text
+     */
+    mapRanges: function(ranges, map) {
+        if (!map) {
+            return ranges;
+        }
+
+        return Wui.Search.mergeRanges(ranges.map(function(range) {
+            return [map[range[0]], map[range[1] - 1] + 1];
+        }));
+    },
+
+
+    /**
+     * Sorts ranges and combines those that overlap or touch.
+     *
+     * @param   {Array}     ranges  An array of [start, end] pairs
+     *
+     * @returns {Array}     A sorted array of [start, end] pairs that don't overlap
+     */
+    mergeRanges: function(ranges) {
+        var merged = [];
+
+        ranges.slice().sort(function(a, b) {
+            return a[0] - b[0];
+        }).forEach(function(range) {
+            var last = merged[merged.length - 1];
+
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            }
+            else {
+                merged.push([range[0], range[1]]);
+            }
+        });
+
+        return merged;
+    },
+
+
+    /**
+     * Scores a match found at a position in the text, favoring the start of the text and the
+     * start of words.
+     *
+     * @param   {String}    text    The lowercase text that was searched
+     * @param   {Number}    index   The position of the match
+     *
+     * @returns {Number}    The score of the match
+     */
+    positionScore: function(text, index) {
+        if (index === 0) {
+            return 1;
+        }
+
+        return Wui.Search.isWordStart(text, index) ? 0.9 : 0.7;
+    },
+
+
+    /**
+     * Matches a regular expression given as the query. Case is ignored as the sensitivity calls
+     * for, and accents are ignored by matching against the text with its accents removed. A query
+     * that isn't a valid regular expression matches nothing.
+     *
+     * @param   {String}    query   The search term, as the source of a regular expression
+     * @param   {String}    text    The text to search
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    A match object, or null if the expression doesn't match the text
+     */
+    regex: function(query, text, options) {
+        var sensitivity = (options && options.sensitivity) ? options.sensitivity : 'base',
+            ignoreCase = (sensitivity === 'base' || sensitivity === 'accent'),
+            ignoreAccents = (sensitivity === 'base' || sensitivity === 'case'),
+            folded = Wui.Search.fold(text, {sensitivity: ignoreAccents ? 'case' : 'variant'}),
+            matched = false,
+            ranges = [],
+            pattern,
+            found;
+
+        try {
+            pattern = new RegExp(query, ignoreCase ? 'gi' : 'g');
+        }
+        catch (e) {
+            return null;
+        }
+
+        while ((found = pattern.exec(folded.text)) !== null) {
+            matched = true;
+
+            // Empty matches (eg. '^') have nothing to hilight, and must not loop forever
+            if (found[0].length === 0) {
+                pattern.lastIndex++;
+            }
+            else {
+                ranges.push([found.index, found.index + found[0].length]);
+            }
+        }
+
+        if (!matched) {
+            return null;
+        }
+
+        return {
+            score:  (ranges.length) ? Wui.Search.positionScore(folded.text, ranges[0][0]) : 1,
+            ranges: Wui.Search.mapRanges(ranges, folded.map)
+        };
+    },
+
+
+    /**
+     * Matches when the text begins with the query.
+     *
+     * @param   {String}    query   The search term
+     * @param   {String}    text    The text to search
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    A match object, or null if the text doesn't begin with the query
+     */
+    startsWith: function(query, text, options) {
+        var folded = Wui.Search.fold(text, options),
+            lowerQuery = Wui.Search.fold(query, options).text;
+
+        if (lowerQuery.length === 0 || folded.text.indexOf(lowerQuery) !== 0) {
+            return null;
+        }
+
+        return {
+            score:  1,
+            ranges: Wui.Search.mapRanges([[0, lowerQuery.length]], folded.map)
+        };
+    },
+
+
+    /**
+     * Removes the accents from a character, eg. 'é' becomes 'e'. Letters that don't decompose into
+     * a base letter and accents are looked up in a table.
+     *
+     * @param   {String}    ch      A single character
+     *
+     * @returns {String}    The character without accents, which may be more than one character
+     */
+    stripAccents: function(ch) {
+        var special = {
+                '\u00df': 'ss', '\u00e6': 'ae', '\u00c6': 'AE', '\u0153': 'oe', '\u0152': 'OE',
+                '\u00f8': 'o',  '\u00d8': 'O',  '\u0111': 'd',  '\u0110': 'D',  '\u0142': 'l',
+                '\u0141': 'L',  '\u0131': 'i',  '\u00f0': 'd',  '\u00d0': 'D',  '\u00fe': 'th',
+                '\u00de': 'TH'
+            };
+
+        if (special.hasOwnProperty(ch)) {
+            return special[ch];
+        }
+
+        // Decompose, then drop the combining marks. Older browsers without normalize() leave
+        // accents as they are.
+        if (typeof ch.normalize === 'function') {
+            return ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+
+        return ch;
+    },
+
+
+    /**
+     * Matches when every word of the query begins a word of the text, in any order, so 'blu wid'
+     * matches 'Widget, Blue'. Every word of the text begun by a word of the query is included in
+     * the ranges.
+     *
+     * @param   {String}    query   The search term
+     * @param   {String}    text    The text to search
+     * @param   {Object}    options Optional. See above.
+     *
+     * @returns {Object}    A match object, or null if a word of the query doesn't begin a word of
+     *                      the text
+     */
+    wordStart: function(query, text, options) {
+        var folded = Wui.Search.fold(text, options),
+            queryWords = Wui.Search.words(Wui.Search.fold(query, options).text),
+            textWords = Wui.Search.words(folded.text),
+            ranges = [],
+            i,
+            found;
+
+        function addWord(textWord) {
+            if (textWord.text.indexOf(queryWords[i].text) === 0) {
+                ranges.push([textWord.start, textWord.start + queryWords[i].text.length]);
+                found = true;
+            }
+        }
+
+        if (queryWords.length === 0) {
+            return null;
+        }
+
+        for (i = 0; i < queryWords.length; i++) {
+            found = false;
+            textWords.forEach(addWord);
+
+            if (!found) {
+                return null;
+            }
+        }
+
+        return {
+            score:  Wui.Search.positionScore(folded.text, ranges[0][0]),
+            ranges: Wui.Search.mapRanges(Wui.Search.mergeRanges(ranges), folded.map)
+        };
+    },
+
+
+    /**
+     * Splits a text into its words, separating on whitespace and punctuation.
+     *
+     * @param   {String}    text    A string
+     *
+     * @returns {Array}     Objects containing the 'text' of each word and the index of its 'start'
+     */
+    words: function(text) {
+        var wordPattern = /[^\s!-\/:-@\[-`{-~]+/g,
+            words = [],
+            found;
+
+        while ((found = wordPattern.exec(text)) !== null) {
+            words.push({text: found[0], start: found.index});
+        }
+
+        return words;
+    }
+};
@@ -470,7 +470,7 @@ Wui.Smarty.prototype = {
                     keys = key.split('.'),
                     index = 0;
 
-                while (context !== null && index < keys.length) {
+                while (context !== null && context !== undefined && index < keys.length) {
                     if (index === keys.length - 1 && me.hasProperty(context, keys[index])) {
                         value = context[keys[index]];
                     }
@@ -0,0 +1,437 @@
+/**
+ * Transports - where Wui.Data gets its data
+ * =================================================================================================
+ *
+ * Wui.Data.loadData() hands its request to a transport rather than calling $.ajax() directly. The
+ * transport of a data object is set with its `transport` config, which may be:
+ *
+ * - The name of a registered transport: 'ajax' (the default), 'fetch', 'memory', or
+ *   'localStorage'.
+ * - An object with a 'type' naming a registered transport, and configs for that transport:
+ *       transport: {type: 'memory', data: [{id: 1, name: 'Jeff'}, ...], delay: 200}
+ * - A transport object itself, made with `new Wui.Transport({read: function(config) {...}})`.
+ *
+ * Custom transports are registered with `Wui.Transport.register(type, methods, [baseType])` and
+ * can then be named like the built in ones:
+ *
+ *      Wui.Transport.register('indexedDb', {
+ *          read: function(config) {
+ *              return this.respond(config, function(dfd) {
+ *                  // Get the records, then...
+ *                  dfd.resolve(records);
+ *              });
+ *          }
+ *      });
+ *
+ * The Transport Contract
+ * ----------------------
+ *
+ * read(config) receives the same settings $.ajax() would: 'url', 'data' (the params of the data
+ * object), 'dataType', and the 'success' and 'error' callbacks, along with anything in the
+ * `ajaxConfig` of the data object. A transport must call success(response) with the response (in
+ * the same form a server would send it) or error(err), and return a promise that has an abort()
+ * method. Errors are objects shaped like a jqXHR, having a 'status', 'statusText' and 'readyState',
+ * where an aborted request has a status of 0.
+ *
+ * write(config) saves a single record for Wui.Data.sync(), and works the same way. The config also
+ * contains the 'action' ('create', 'update' or 'destroy'), the 'record' being saved, and the
+ * 'identity' of the data object. Its 'data' is the record along with the action in the
+ * `actionParam` of the data object, and it is a POST to the url of the action. A transport should
+ * respond with the record as it was saved, or an empty response.
+ */
+Wui.Transport = function(args) {
+    $.extend(this, args);
+};
+
+
+Wui.Transport.prototype = {
+    /**
+     * Whether the transport needs the data object to have a `url`. Transports that carry their
+     * own data, like 'memory', don't.
+     */
+    needsUrl: true,
+
+
+    /**
+     * Reads data for a Wui.Data object. Meant to be overridden.
+     *
+     * @param   {Object}    config  Settings for the request. See the transport contract above.
+     *
+     * @returns {Object}    A promise with an abort() method
+     */
+    read: function(config) {
+        return this.respond(config, function(dfd) {
+            dfd.reject(Wui.Transport.error(501, 'Not Implemented'));
+        });
+    },
+
+
+    /**
+     * Saves a record for Wui.Data.sync(). Meant to be overridden.
+     *
+     * @param   {Object}    config  Settings for the request. See the transport contract above.
+     *
+     * @returns {Object}    A promise with an abort() method
+     */
+    write: function(config) {
+        return this.respond(config, function(dfd) {
+            dfd.reject(Wui.Transport.error(501, 'Not Implemented'));
+        });
+    },
+
+
+    /**
+     * Runs a request asynchronously, as a server would, tying the outcome of the request to the
+     * callbacks of the config.
+     *
+     * @param   {Object}    config      Settings for the request, containing 'success' and 'error'
+     *                                  callbacks.
+     * @param   {Function}  requestFn   Performs the request. It is passed a jQuery Deferred to
+     *                                  resolve with the response, or reject with an error. A value
+     *                                  returned by the function resolves the Deferred.
+     *
+     * @returns {Object}    A promise with an abort() method
+     */
+    respond: function(config, requestFn) {
+        var me = this,
+            dfd = $.Deferred(),
+            timer;
+
+        dfd.done(function(response) {
+            if (typeof config.success === 'function') {
+                config.success(response);
+            }
+        }).fail(function(err) {
+            if (typeof config.error === 'function') {
+                config.error(err);
+            }
+        });
+
+        timer = setTimeout(function() {
+            var response;
+
+            try {
+                response = requestFn.call(me, dfd);
+            }
+            catch (e) {
+                dfd.reject(Wui.Transport.error(500, e.message));
+            }
+
+            if (response !== undefined) {
+                dfd.resolve(response);
+            }
+        }, me.delay || 0);
+
+        return dfd.promise({
+            abort: function() {
+                clearTimeout(timer);
+                dfd.reject(Wui.Transport.error(0, 'abort'));
+            }
+        });
+    }
+};
+
+
+/** Constructors of the registered transports, by type. */
+Wui.Transport.types = {};
+
+
+/**
+ * Makes a transport from the `transport` config of a data object.
+ *
+ * @param   {String|Object}     transport   The name of a registered transport, an object with a
+ *                                          'type' and configs for the transport, or a transport.
+ *
+ * @returns {Object}            A Wui.Transport
+ */
+Wui.Transport.create = function(transport) {
+    var type = (typeof transport === 'string') ? transport : transport.type;
+
+    if (transport instanceof Wui.Transport) {
+        return transport;
+    }
+
+    if (!Wui.Transport.types.hasOwnProperty(type)) {
+        throw new Error('Wui.js - There is no transport registered as "' + type + '".');
+    }
+
+    return new Wui.Transport.types[type]((typeof transport === 'string') ? {} : transport);
+};
+
+
+/**
+ * Makes an error shaped like a jqXHR, which is what the failure handlers of the WUI expect.
+ *
+ * @param   {Number}    status      An HTTP status. Zero means the request was aborted.
+ * @param   {String}    statusText  A description of the error
+ *
+ * @returns {Object}    An object containing the 'status', 'statusText' and 'readyState'.
+ */
+Wui.Transport.error = function(status, statusText) {
+    return {
+        readyState: (status === 0) ? 0 : 4,
+        status:     status,
+        statusText: statusText
+    };
+};
+
+
+/**
+ * Registers a transport so that data objects can name it in their `transport` config.
+ *
+ * @param   {String}    type        The name of the transport
+ * @param   {Object}    methods     Methods and default configs of the transport, which must at
+ *                                  least implement read().
+ * @param   {String}    baseType    Optional. The name of a registered transport to build upon.
+ *
+ * @returns {Function}  The constructor of the transport
+ */
+Wui.Transport.register = function(type, methods, baseType) {
+    var Base = (baseType) ? Wui.Transport.types[baseType] : Wui.Transport,
+        Type = function(args) {
+            Base.call(this, args);
+        };
+
+    Type.prototype = $.extend(new Base(), methods);
+    Wui.Transport.types[type] = Type;
+
+    return Type;
+};
+
+
+// jQuery's AJAX - the default
+Wui.Transport.register('ajax', {
+    read: function(config) {
+        return $.ajax(config.url, config);
+    },
+
+    write: function(config) {
+        return $.ajax(config.url, config);
+    }
+});
+
+
+// The browser's fetch(). The 'type' (or 'method') of the config is the HTTP method, and any
+// 'fetchConfig' on the transport is passed along to fetch().
+Wui.Transport.register('fetch', {
+    fetchConfig: {},
+
+    read: function(config) {
+        var me = this,
+            method = (config.type || config.method || 'GET').toUpperCase(),
+            params = $.param(config.data || {}),
+            url = config.url,
+            controller = (window.AbortController) ? new window.AbortController() : null,
+            init = $.extend({method: method, credentials: 'same-origin'}, me.fetchConfig),
+            request;
+
+        if (method === 'GET') {
+            url += (params.length) ? ((url.indexOf('?') === -1) ? '?' : '&') + params : '';
+        }
+        else {
+            init.body = params;
+            init.headers = $.extend({'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'}, init.headers);
+        }
+
+        if (controller) {
+            init.signal = controller.signal;
+        }
+
+        request = me.respond(config, function(dfd) {
+            window.fetch(url, init).then(function(response) {
+                if (!response.ok) {
+                    dfd.reject(Wui.Transport.error(response.status, response.statusText));
+                    return;
+                }
+
+                return response[(config.dataType === 'json') ? 'json' : 'text']().then(function(body) {
+                    dfd.resolve(body);
+                });
+            })['catch'](function(e) {
+                dfd.reject(Wui.Transport.error((e && e.name === 'AbortError') ? 0 : 500, (e && e.message) || 'error'));
+            });
+        });
+
+        // Stop the fetch too when aborting
+        request.abort = (function(abort) {
+            return function() {
+                if (controller) {
+                    controller.abort();
+                }
+
+                abort();
+            };
+        })(request.abort);
+
+        return request;
+    },
+
+    write: function(config) {
+        return this.read(config);
+    }
+});
+
+
+// An in-memory collection of records standing in for a server. Params matching keys of the
+// records filter them, and the 'searchParam' finds records with a value containing its text.
+// Records written are saved to the collection, and created records without an identity are
+// given the next number.
+Wui.Transport.register('memory', {
+    // The records served by the transport
+    data: [],
+
+    // Milliseconds to wait before responding, to act like a server
+    delay: 0,
+
+    needsUrl: false,
+
+    // The param containing a search term. Matches Wui.Combo2's default `searchArgName`.
+    searchParam: 'filter',
+
+
+    /**
+     * Gets the records the transport serves.
+     *
+     * @returns {Array}     An array of records
+     */
+    getData: function() {
+        return this.data;
+    },
+
+
+    /**
+     * Filters records by params, as a server would.
+     *
+     * @param   {Array}     records     An array of records
+     * @param   {Object}    params      The params of the request
+     *
+     * @returns {Array}     The records matching the params
+     */
+    query: function(records, params) {
+        var me = this;
+
+        params = params || {};
+
+        return records.filter(function(rec) {
+            var matches = true;
+
+            $.each(params, function(key, val) {
+                if (key === me.searchParam) {
+                    matches = (val === null || val === undefined || String(val).length === 0) || Object.keys(rec).some(function(recKey) {
+                        return rec[recKey] !== null && typeof rec[recKey] !== 'object' &&
+                            Wui.Search.contains(String(val), String(rec[recKey])) !== null;
+                    });
+                }
+                else if (rec.hasOwnProperty(key)) {
+                    matches = (String(rec[key]) === String(val));
+                }
+
+                return matches;
+            });
+
+            return matches;
+        });
+    },
+
+
+    read: function(config) {
+        return this.respond(config, function() {
+            // Copies, as a server would send, so changes to the data object don't reach the records
+            return this.query(this.getData(), config.data).map(function(rec) {
+                return $.extend({}, rec);
+            });
+        });
+    },
+
+
+    /**
+     * Replaces the records the transport serves.
+     *
+     * @param   {Array}     records     An array of records
+     */
+    saveData: function(records) {
+        this.data = records;
+    },
+
+
+    write: function(config) {
+        return this.respond(config, function(dfd) {
+            var records = this.getData(config).slice(),
+                rec = $.extend({}, config.record),
+                key = config.identity,
+                index = -1;
+
+            if (key) {
+                records.some(function(stored, i) {
+                    index = (String(stored[key]) === String(rec[key])) ? i : -1;
+                    return index !== -1;
+                });
+            }
+
+            if (config.action === 'create') {
+                if (key && (rec[key] === null || rec[key] === undefined)) {
+                    rec[key] = records.reduce(function(max, stored) {
+                        return Math.max(max, parseFloat(stored[key]) || 0);
+                    }, 0) + 1;
+                }
+
+                records.push(rec);
+            }
+            else if (index === -1) {
+                dfd.reject(Wui.Transport.error(404, 'Not Found'));
+                return;
+            }
+            else if (config.action === 'update') {
+                rec = records[index] = $.extend({}, records[index], rec);
+            }
+            else {
+                records.splice(index, 1);
+                rec = {};
+            }
+
+            this.saveData(records, config);
+
+            return rec;
+        });
+    }
+});
+
+
+// Records kept in the localStorage of the browser as JSON, under the 'key' of the transport or
+// else the url of the data object. Params work the same as the 'memory' transport.
+Wui.Transport.register('localStorage', {
+    // The localStorage key holding the records
+    key: null,
+
+
+    /**
+     * Gets the records kept in localStorage.
+     *
+     * @param   {Object}    config  Settings for the request
+     *
+     * @returns {Array}     An array of records
+     */
+    getData: function(config) {
+        var stored = window.localStorage.getItem(this.key || config.url);
+
+        return (stored !== null) ? JSON.parse(stored) : [];
+    },
+
+
+    read: function(config) {
+        return this.respond(config, function() {
+            return this.query(this.getData(config), config.data);
+        });
+    },
+
+
+    /**
+     * Keeps records in localStorage.
+     *
+     * @param   {Array}     records     An array of records
+     * @param   {Object}    config      Settings for the request
+     */
+    saveData: function(records, config) {
+        window.localStorage.setItem(this.key || config.url, JSON.stringify(records));
+    }
+}, 'memory');
@@ -212,7 +212,8 @@ Wui.positionItem = function(parent, child) {
 
 /**
  * Determines whether data is expected to be in containers separating values for the total and the
- * data, or if the data cones in in an array, there is no need to unwrap it.
+ * data, or if the data cones in in an array, there is no need to unwrap it. Data objects with a
+ * reader config have the response read by their reader instead. See Wui.Data.readers.
  *
  * @param       {Object|Array}      r   Object or array that is the resopnse data from a request.
  *
@@ -222,8 +223,15 @@ Wui.unwrapData = function(r){
     var me          = this,
         dc          = me.hasOwnProperty('dataContainer') ? me.dataContainer : Wui.Data.prototype.dataContainer,
         tc          = me.hasOwnProperty('totalContainer') ? me.totalContainer : Wui.Data.prototype.totalContainer,
-        response    = (dc && r[dc]) ? r[dc] : r,
-        total       = (tc && r[tc]) ? r[tc] : response.length;
+        response,
+        total;
+    
+    if (me.reader) {
+        return me.readResponse(r);
+    }
+    
+    response    = (dc && r[dc]) ? r[dc] : r;
+    total       = (tc && r[tc]) ? r[tc] : response.length;
     
     return {data:response, total:total};
 };
\ No newline at end of file